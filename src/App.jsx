@@ -1,27 +1,79 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import {
+  addGoal,
+  applyUnlocks,
+  breakDeposit,
   buildExpensePlan,
   calculateExpenses,
+  categorySpendingHistory,
+  createSimulationState,
+  currentLifeStage,
+  debtPayoffPlan,
   defaultDecision,
-  defaultState,
   expenseCatalog,
+  forkTimeline,
+  fullHistory,
   generateLifeStage,
-  marketPresets,
-  projectFuture,
+  leverImpact,
+  outcomeLevers,
+  outcomeReport,
+  portfolioDrift,
+  projectMonteCarlo,
+  rebalancePortfolio,
+  removeGoal,
+  resolveAllocation,
+  resolveEventChoice,
   riskPresets,
   runDecisionCycle,
-  summarizeFeedback
+  runYear,
+  savingsAccountRate,
+  unlockedFor
 } from "./sim/engine.js";
-
-const formatCurrency = (value) =>
-  new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0
-  }).format(value ?? 0);
+import { ACHIEVEMENTS, UNLOCKS, unlockSources } from "./sim/achievements.js";
+import { LIFE_STAGES, LOCATION_COST } from "./sim/career.js";
+import { cashflowStream } from "./sim/cashflow.js";
+import { DEBT_STRATEGIES, DEBT_TYPES } from "./sim/debt.js";
+import { FIXED_DEPOSIT_TERMS, RECURRING_DEPOSIT_TERMS, depositLabel, earlyWithdrawal } from "./sim/deposits.js";
+import { GOAL_KINDS, goalPace } from "./sim/goals.js";
+import { AUTO_MARKET_MODE, MARKET_REGIMES } from "./sim/market.js";
+import { ASSET_CLASSES } from "./sim/portfolio.js";
+import { DEFAULT_HORIZON, PROJECTION_HORIZONS, horizonPaths } from "./sim/report.js";
+import { SCENARIO_TEMPLATES, findScenarioErrors, scenarioLifeStage } from "./sim/scenarios.js";
+import { OVERDRAFT, SHORTFALL_POLICIES } from "./sim/shortfall.js";
+import { HEATMAP_MONTHS, SPENDING_CATEGORIES, spendingHeatmap } from "./sim/spending.js";
+import { TAX_LOCALES } from "./sim/tax.js";
+import {
+  BRANCH_METRICS,
+  MAIN_BRANCH,
+  MAX_BRANCHES,
+  compareBranches,
+  divergedDecisions,
+  forkableMonths
+} from "./sim/timelines.js";
+import { AreaChart, BarChart, LineChart, SankeyChart, StackedBarChart } from "./charts.jsx";
+import { EXPORT_DATASETS, buildExport, downloadFile } from "./exports.js";
+import { formatCurrency, formatCurrencyTick } from "./format.js";
+import { dismissRecoveryNotices, readPersisted, recoverRun, recoveryNotices, writePersisted } from "./persistence.js";
+import {
+  SLOT_INDEX_KEY,
+  clearSlot,
+  createSlot,
+  exportSave,
+  initialSlots,
+  parseSave,
+  saveFileName,
+  slotFileStem,
+  slotKey,
+  slotKeys,
+  writeSlot
+} from "./slots.js";
 
 const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
 
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const formatChange = (value) => `${value > 0 ? "+" : ""}${formatCurrency(value)}`;
+
 const modes = [
   { key: "simulation", label: "Simulation Mode" },
   { key: "decision_lab", label: "Decision Lab" },
@@ -41,34 +93,25 @@ const Card = ({ title, value, footnote }) => (
   </div>
 );
 
-const LineChart = ({ points, height = 160, valueKey = "netWorth" }) => {
-  if (points.length === 0) return null;
-  const values = points.map((point) => point[valueKey]);
-  const minValue = Math.min(...values);
-  const maxValue = Math.max(...values);
-  const range = Math.max(maxValue - minValue, 1);
-  const width = 520;
-  const stepX = width / (points.length - 1 || 1);
-  const path = points
-    .map((point, index) => {
-      const x = index * stepX;
-      const y = height - ((point[valueKey] - minValue) / range) * height;
-      return `${index === 0 ? "M" : "L"}${x},${y}`;
-    })
-    .join(" ");
-
-  return (
-    <svg className="chart" viewBox={`0 0 ${width} ${height}`} role="img">
-      <path d={path} fill="none" stroke="url(#lineGradient)" strokeWidth="3" />
-      <defs>
-        <linearGradient id="lineGradient" x1="0" y1="0" x2="1" y2="1">
-          <stop offset="0%" stopColor="#7c8bff" />
-          <stop offset="100%" stopColor="#46f0ff" />
-        </linearGradient>
-      </defs>
-    </svg>
-  );
-};
+const AnnualSummaryList = ({ summaries }) => (
+  <ul className="feedback">
+    {summaries.map((summary) => (
+      <li key={summary.year}>
+        <strong>Year {summary.year}</strong> (months {summary.fromMonth}–{summary.toMonth}) · Earned{" "}
+        {formatCurrency(summary.income)} · Spent {formatCurrency(summary.spending)} · Savings rate{" "}
+        {formatPercent(summary.savingsRate)} · Investments {formatPercent(summary.investmentReturn)} · Debt paid{" "}
+        {formatCurrency(summary.debtPaid)}
+        {summary.interestEarned > 0 && ` · Interest earned ${formatCurrency(summary.interestEarned)}`} · Net worth{" "}
+        {formatCurrency(summary.startNetWorth)} → {formatCurrency(summary.endNetWorth)}
+        <span className="muted"> · {summary.events.length > 0 ? summary.events.join(", ") : "No life events"}</span>
+        {(summary.careerChanges ?? []).length > 0 && <span className="muted"> · {summary.careerChanges.join(", ")}</span>}
+        {(summary.achievements ?? []).length > 0 && (
+          <span className="muted"> · Earned {summary.achievements.join(", ")}</span>
+        )}
+      </li>
+    ))}
+  </ul>
+);
 
 const ChoiceButtons = ({ label, options, value, onChange }) => (
   <div className="choice-group">
@@ -79,6 +122,7 @@ const ChoiceButtons = ({ label, options, value, onChange }) => (
           key={option.value}
           className={value === option.value ? "active" : ""}
           onClick={() => onChange(option.value)}
+          disabled={option.disabled}
         >
           {option.label}
         </button>
@@ -87,21 +131,31 @@ const ChoiceButtons = ({ label, options, value, onChange }) => (
   </div>
 );
 
-const usePersistentState = (key, initialValue) => {
-  const [state, setState] = useState(() => {
-    const stored = window.localStorage.getItem(key);
-    return stored ? JSON.parse(stored) : initialValue;
-  });
+const usePersistentState = (key, initialValue, kind, onLoad = (value) => value) => {
+  const [state, setState] = useState(() => onLoad(readPersisted(key, kind) ?? initialValue));
+  const [saveFailed, setSaveFailed] = useState(false);
 
-  const setPersisted = (value) => {
-    setState((prev) => {
-      const nextValue = typeof value === "function" ? value(prev) : value;
-      window.localStorage.setItem(key, JSON.stringify(nextValue));
-      return nextValue;
-    });
-  };
+  useEffect(() => {
+    try {
+      writePersisted(key, state);
+      setSaveFailed(false);
+    } catch {
+      setSaveFailed(true);
+    }
+  }, [key, state]);
 
-  return [state, setPersisted];
+  return [state, setState, saveFailed];
+};
+
+const useSettledValue = (value, delay) => {
+  const [settled, setSettled] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSettled(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return settled;
 };
 
 const decisionLabTemplates = [
@@ -463,7 +517,8 @@ const buildInitialMarketState = () => {
     holdings: {},
     quantities: {},
     lastInsight: "Markets are open. Pick a stall to explore.",
-    log: []
+    log: [],
+    trades: []
   };
 };
 
@@ -494,6 +549,17 @@ const updateMarketState = (state) => {
 const getMarketItem = (marketKey, itemKey) =>
   marketDefinitionMap[marketKey].items.find((item) => item.key === itemKey);
 
+const tradeEntry = (state, item, side, quantity, price, cashAfter) => ({
+  day: state.day,
+  market: marketDefinitionMap[state.marketKey].label,
+  item: item.label,
+  side,
+  quantity,
+  price,
+  total: Number((quantity * price).toFixed(2)),
+  cashAfter
+});
+
 const findMarketItemLabel = (itemKey) => {
   for (const market of marketDefinitions) {
     const item = market.items.find((entry) => entry.key === itemKey);
@@ -519,7 +585,8 @@ const applyDecisionDelta = (decision, impact) => ({
   debtPayment: Math.max(0, decision.debtPayment + (impact.debtPayment ?? 0)),
   investment: Math.max(0, decision.investment + (impact.investment ?? 0)),
   emergencyCash: Math.max(0, decision.emergencyCash + (impact.emergencyCash ?? 0)),
-  riskProfile: impact.riskProfile ?? decision.riskProfile
+  riskProfile: impact.riskProfile ?? decision.riskProfile,
+  allocation: impact.riskProfile ? null : decision.allocation
 });
 
 const knowledgeSections = [
@@ -589,6 +656,126 @@ const knowledgeSections = [
   }
 ];
 
+const emptyScenarioDraft = {
+  title: "",
+  stage: "first_job",
+  age: "25",
+  location: "mid",
+  locale: "in",
+  dependents: "0",
+  income: "3500",
+  startingCash: "1000",
+  housing: "900",
+  utilities: "120",
+  debts: [],
+  goals: []
+};
+
+const scenarioToDraft = (scenario) => ({
+  title: `${scenario.title} (custom)`,
+  stage: scenario.stage,
+  age: String(scenario.age),
+  location: scenario.location,
+  locale: scenario.locale ?? "in",
+  dependents: String(scenario.dependents),
+  income: String(scenario.income),
+  startingCash: String(scenario.startingCash),
+  housing: String(scenario.fixedCosts?.housing ?? ""),
+  utilities: String(scenario.fixedCosts?.utilities ?? ""),
+  debts: (scenario.debts ?? []).map((debt) => ({
+    type: debt.type,
+    balance: String(debt.balance),
+    rate: String(Math.round(debt.rate * 1000) / 10),
+    limit: debt.limit === undefined ? "" : String(debt.limit)
+  })),
+  goals: (scenario.goals ?? []).map((goal) => ({
+    kind: goal.kind ?? "other",
+    label: goal.label,
+    target: String(goal.target),
+    months: String(goal.months ?? 24)
+  })),
+  expensePlan: scenario.expensePlan
+});
+
+const isRevolvingType = (label) => Boolean(DEBT_TYPES.find((type) => type.label === label)?.revolving);
+
+const toNumber = (value) => (String(value).trim() === "" ? NaN : Number(value));
+
+const draftToScenario = (draft) => ({
+  key: `custom-${Date.now()}`,
+  title: draft.title.trim(),
+  description: "Custom scenario",
+  stage: draft.stage,
+  age: toNumber(draft.age),
+  location: draft.location,
+  locale: draft.locale,
+  dependents: toNumber(draft.dependents),
+  income: toNumber(draft.income),
+  startingCash: toNumber(draft.startingCash),
+  fixedCosts: { housing: toNumber(draft.housing), utilities: toNumber(draft.utilities) },
+  debts: draft.debts.map((debt) => ({
+    type: debt.type,
+    balance: toNumber(debt.balance),
+    rate: toNumber(debt.rate) / 100,
+    ...(isRevolvingType(debt.type) && String(debt.limit ?? "").trim() !== "" ? { limit: toNumber(debt.limit) } : {})
+  })),
+  goals: draft.goals.map((goal) => ({
+    kind: goal.kind,
+    label: goal.label.trim(),
+    target: toNumber(goal.target),
+    months: toNumber(goal.months)
+  })),
+  ...(draft.expensePlan ? { expensePlan: draft.expensePlan } : {})
+});
+
+const initialTimelines = { active: MAIN_BRANCH.id, branches: [MAIN_BRANCH], parked: {} };
+
+const decisionValueLabel = (key, value) => {
+  if (key.endsWith("Term")) return `${value} months`;
+  if (typeof value === "number") return formatCurrency(value);
+  if (typeof value === "string") return value.replace(/_/g, " ");
+  return value ? "custom settings" : "none";
+};
+
+const eventMarkers = (snapshot) => [
+  ...(snapshot.eventKey && snapshot.eventKey !== "none" ? [{ x: snapshot.month, label: snapshot.event }] : []),
+  ...(snapshot.careerChanges ?? []).map((label) => ({ x: snapshot.month, label }))
+];
+
+const mergeBranchSeries = (rows, metric) => {
+  const months = new Map();
+  rows.forEach((row) =>
+    row.series.forEach((point) =>
+      months.set(point.month, { ...(months.get(point.month) ?? { month: point.month }), [row.id]: point[metric] })
+    )
+  );
+  return [...months.values()].sort((a, b) => a.month - b.month);
+};
+
+const comparePaths = (current, alternate, key) =>
+  current.map((point, index) => ({
+    month: point.month,
+    current: point[`${key}P50`],
+    currentLow: point[`${key}P10`],
+    currentHigh: point[`${key}P90`],
+    alternate: alternate[index]?.[`${key}P50`],
+    alternateLow: alternate[index]?.[`${key}P10`],
+    alternateHigh: alternate[index]?.[`${key}P90`]
+  }));
+
+const horizonOptions = Object.entries(PROJECTION_HORIZONS).map(([months, horizon]) => ({
+  value: Number(months),
+  label: horizon.label
+}));
+
+const FUTURE_SELF_HORIZON = 60;
+const PROJECTION_DELAY_MS = 400;
+
+const pathSeries = (alternateLabel) => [
+  { key: "current", label: "Current path", band: ["currentLow", "currentHigh"], bandLabel: "8 in 10 futures" },
+  { key: "alternate", label: alternateLabel, band: ["alternateLow", "alternateHigh"], dashed: true }
+];
+
 const bankAllocationDefaults = {
   savings: 0.3,
   emergency: 0.25,
@@ -596,21 +783,75 @@ const bankAllocationDefaults = {
   investments: 0.25
 };
 
-export default function App() {
+function SimulationApp({ slots, setSlots, slotsSaveFailed }) {
   const [activeMode, setActiveMode] = useState("simulation");
-  const [lifeStage, setLifeStage] = usePersistentState("nexawealth-life", generateLifeStage());
-  const [expensePlan, setExpensePlan] = usePersistentState("nexawealth-expenses", buildExpensePlan(lifeStage));
-  const [decision, setDecision] = usePersistentState("nexawealth-decision", defaultDecision);
-  const [simulationState, setSimulationState] = usePersistentState("nexawealth-sim", {
-    ...defaultState,
-    cashOnHand: lifeStage.assets,
-    debtBalance: lifeStage.debts.reduce((sum, debt) => sum + debt.balance, 0),
-    debts: lifeStage.debts
-  });
+  const [lifeStage, setLifeStage, lifeSaveFailed] = usePersistentState(
+    slotKey(slots.active, "life"),
+    generateLifeStage(),
+    "life"
+  );
+  const [expensePlan, setExpensePlan, expensesSaveFailed] = usePersistentState(
+    slotKey(slots.active, "expenses"),
+    buildExpensePlan(lifeStage),
+    "expenses"
+  );
+  const [decision, setDecision, decisionSaveFailed] = usePersistentState(
+    slotKey(slots.active, "decision"),
+    defaultDecision,
+    "decision"
+  );
+  const [simulationState, setSimulationState, simSaveFailed] = usePersistentState(
+    slotKey(slots.active, "sim"),
+    createSimulationState(lifeStage),
+    "sim"
+  );
+  const [seedInput, setSeedInput] = useState("");
+  const [customScenarios, setCustomScenarios, scenariosSaveFailed] = usePersistentState(
+    "nexawealth-scenarios",
+    [],
+    "scenarios"
+  );
+  const [timelines, setTimelines, timelinesSaveFailed] = usePersistentState(
+    slotKey(slots.active, "timelines"),
+    initialTimelines,
+    "timelines"
+  );
+  const [marketExplorer, setMarketExplorer, marketSaveFailed] = usePersistentState(
+    slotKey(slots.active, "market"),
+    buildInitialMarketState(),
+    "market"
+  );
+  const [slotName, setSlotName] = useState("");
+  const [slotError, setSlotError] = useState(null);
+  const [notices, setNotices] = useState(() => recoveryNotices());
+  const saveFailed = [
+    slotsSaveFailed,
+    lifeSaveFailed,
+    expensesSaveFailed,
+    decisionSaveFailed,
+    simSaveFailed,
+    scenariosSaveFailed,
+    timelinesSaveFailed,
+    marketSaveFailed
+  ].some(Boolean);
+  const [forkDraft, setForkDraft] = useState({ month: "", name: "" });
+  const [timelineMetric, setTimelineMetric] = useState("netWorth");
+  const [spendingFocus, setSpendingFocus] = useState(null);
+  const [cashflowMonth, setCashflowMonth] = useState(null);
+  const [projectionHorizon, setProjectionHorizon] = useState(DEFAULT_HORIZON);
+  const [futureHorizon, setFutureHorizon] = useState(FUTURE_SELF_HORIZON);
+  const [report, setReport] = useState(null);
+  const [reportProgress, setReportProgress] = useState(null);
+  const [scenarioDraft, setScenarioDraft] = useState(emptyScenarioDraft);
+  const [scenarioErrors, setScenarioErrors] = useState([]);
+  const [builderOpen, setBuilderOpen] = useState(false);
+  const [goalDraft, setGoalDraft] = useState({ kind: "emergency", label: "", target: "", months: "24" });
+  const [valueLens, setValueLens] = useState("nominal");
+  const [timelineView, setTimelineView] = useState("monthly");
+  const [yearNotice, setYearNotice] = useState(null);
   const [decisionLabDifficulty, setDecisionLabDifficulty] = useState("mixed");
   const [decisionLabScenario, setDecisionLabScenario] = useState(() => generateDecisionLabScenario("mixed"));
   const [decisionLabResult, setDecisionLabResult] = useState(null);
-  const [marketExplorer, setMarketExplorer] = useState(() => buildInitialMarketState());
   const [marketProjection, setMarketProjection] = useState({ horizon: 10, contribution: 300, risk: 0.6 });
   const [toolkit, setToolkit] = useState({
     budgetIncome: 5200,
@@ -646,55 +887,364 @@ export default function App() {
   const [marketChoice, setMarketChoice] = useState("current");
   const [knowledgeOpen, setKnowledgeOpen] = useState({});
 
+  const priceIndex = simulationState.cpi ?? 1;
+  const profile = useMemo(() => currentLifeStage(lifeStage, simulationState), [lifeStage, simulationState.career]);
   const expenses = useMemo(
-    () => calculateExpenses({ lifeStage, quantities: expensePlan.quantities, priceTiers: expensePlan.priceTiers }),
-    [lifeStage, expensePlan]
+    () =>
+      calculateExpenses({
+        lifeStage: profile,
+        quantities: expensePlan.quantities,
+        priceTiers: expensePlan.priceTiers,
+        priceIndex
+      }),
+    [profile, expensePlan, priceIndex]
   );
 
   const latestSnapshot = simulationState.history.at(-1);
+  const exportHistory = fullHistory(simulationState);
+  const activeGoals = (simulationState.goals ?? []).filter((goal) => goal.completedMonth === null);
+  const currentIncome = profile.income * (simulationState.incomeIndex ?? 1);
+  const netWorthKey = valueLens === "real" ? "realNetWorth" : "netWorth";
+  const lensBand = [`${netWorthKey}P10`, `${netWorthKey}P90`];
+  const netWorthLabel = valueLens === "real" ? "Net worth (today's money)" : "Net worth";
+  const taxLocale = TAX_LOCALES[lifeStage.locale] ?? TAX_LOCALES.in;
+  const unlocked = unlockedFor(simulationState);
+  const lockHint = (unlockKey) =>
+    `Locked: earn ${unlockSources(unlockKey)
+      .map((achievement) => achievement.label)
+      .join(" or ")} to unlock ${UNLOCKS[unlockKey].label.toLowerCase()}.`;
+  const lockedAssetClasses = Object.fromEntries(
+    Object.entries(UNLOCKS)
+      .filter(([key, unlock]) => unlock.assetClass && !unlocked.includes(key))
+      .map(([key, unlock]) => [unlock.assetClass, key])
+  );
+  const gatedDecision = applyUnlocks(decision, simulationState);
+  const allocation = resolveAllocation(gatedDecision);
+  const allocationTotal = Object.values(allocation).reduce((sum, value) => sum + value, 0) || 1;
+  const drift = portfolioDrift(simulationState, decision);
+  const maxDrift = Math.max(...drift.map((entry) => Math.abs(entry.drift)));
+  const previousSnapshot = simulationState.history.at(-2);
+  const creditDelta = latestSnapshot && previousSnapshot ? latestSnapshot.creditScore - previousSnapshot.creditScore : 0;
+  const topCreditChange = latestSnapshot?.creditChanges?.[0];
+  const creditReason = topCreditChange
+    ? `${creditDelta >= 0 ? "+" : ""}${creditDelta} · ${topCreditChange.label}: ${topCreditChange.detail}`
+    : latestSnapshot
+    ? `${creditDelta >= 0 ? "+" : ""}${creditDelta} · Settling toward your current profile`
+    : undefined;
+  const payoffPlan = useMemo(() => debtPayoffPlan(simulationState, decision), [simulationState, decision]);
+  const debtKey = (debt, index) => debt.id ?? `${debt.type}-${index}`;
+  const debtPriority = simulationState.debts
+    .map(debtKey)
+    .sort((a, b) => {
+      const order = decision.debtPriority ?? [];
+      const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+      return rank(a) - rank(b);
+    });
 
+  const projectedDecision = useSettledValue(decision, PROJECTION_DELAY_MS);
+  const projectionPending = projectedDecision !== decision;
   const projection = useMemo(
-    () => projectFuture({ lifeStage, decision, expenses, state: simulationState }, 12),
-    [lifeStage, decision, expenses, simulationState]
+    () =>
+      activeMode === "simulation"
+        ? projectMonteCarlo(
+            { lifeStage, decision: projectedDecision, expenses, state: simulationState },
+            projectionHorizon,
+            horizonPaths(projectionHorizon)
+          )
+        : [],
+    [activeMode, lifeStage, projectedDecision, expenses, simulationState, projectionHorizon]
+  );
+  const projectionMilestones =
+    projectionHorizon > 12 ? projection.filter((_, index) => (index + 1) % 12 === 0) : projection;
+  const reportStale =
+    report &&
+    (report.decision !== decision || report.fromMonth !== simulationState.month || report.horizon !== projectionHorizon);
+
+  const feedback = (latestSnapshot?.insights ?? []).slice(0, 3);
+
+  const cashflowSnapshot =
+    simulationState.history.find((snapshot) => snapshot.month === cashflowMonth) ?? latestSnapshot;
+  const cashflow = cashflowSnapshot ? cashflowStream(cashflowSnapshot, lifeStage.locale) : null;
+  const heatmap = useMemo(
+    () => spendingHeatmap(simulationState.history, lifeStage.locale),
+    [simulationState.history, lifeStage.locale]
+  );
+  const focusSpending = useMemo(
+    () => (spendingFocus ? categorySpendingHistory(simulationState.history, spendingFocus) : null),
+    [spendingFocus, simulationState.history]
   );
 
-  const feedback = latestSnapshot ? summarizeFeedback(latestSnapshot, decision) : [];
-
-  const recommendedSpend = Math.round(lifeStage.income * 0.55);
-  const spendRisk = expenses.total > lifeStage.income * 0.8 ? "risky" : expenses.total > lifeStage.income * 0.65 ? "tight" : "safe";
+  const branchById = Object.fromEntries(timelines.branches.map((branch) => [branch.id, branch]));
+  const branchStates = timelines.branches
+    .map((branch) => ({
+      ...branch,
+      state: branch.id === timelines.active ? simulationState : timelines.parked[branch.id]?.state
+    }))
+    .filter((branch) => branch.state);
+  const timelineComparison = branchStates.length > 1 ? compareBranches(branchStates) : null;
+  const timelineSeries = timelineComparison ? mergeBranchSeries(timelineComparison.rows, timelineMetric) : [];
+  const forkMonths = useMemo(() => forkableMonths(simulationState).reverse(), [simulationState]);
+
+  const recommendedSpend = Math.round(currentIncome * 0.55);
+  const spendRisk = expenses.total > currentIncome * 0.8 ? "risky" : expenses.total > currentIncome * 0.65 ? "tight" : "safe";
+
+  const handleGenerateLifeStage = (seed) => {
+    const nextStage = generateLifeStage(seed);
+    setLifeStage(nextStage);
+    setExpensePlan(buildExpensePlan(nextStage));
+    setSimulationState(createSimulationState(nextStage));
+    setTimelines(initialTimelines);
+  };
 
-  const handleGenerateLifeStage = () => {
-    const nextStage = generateLifeStage();
+  const handleLoadScenario = (scenario) => {
+    const nextStage = scenarioLifeStage(scenario);
     setLifeStage(nextStage);
     setExpensePlan(buildExpensePlan(nextStage));
-    setSimulationState({
-      ...defaultState,
-      cashOnHand: nextStage.assets,
-      debtBalance: nextStage.debts.reduce((sum, debt) => sum + debt.balance, 0),
-      debts: nextStage.debts
-    });
+    setSimulationState(createSimulationState(nextStage));
+    setTimelines(initialTimelines);
+  };
+
+  const updateDraft = (field, value) => setScenarioDraft((prev) => ({ ...prev, [field]: value }));
+
+  const updateDraftRow = (list, index, field, value) =>
+    setScenarioDraft((prev) => ({
+      ...prev,
+      [list]: prev[list].map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: value } : row))
+    }));
+
+  const handleSaveScenario = (play) => {
+    const scenario = draftToScenario(scenarioDraft);
+    const errors = findScenarioErrors(scenario);
+    setScenarioErrors(errors);
+    if (errors.length > 0) return;
+    setCustomScenarios((prev) => [...prev, scenario]);
+    setScenarioDraft(emptyScenarioDraft);
+    setBuilderOpen(false);
+    if (play) handleLoadScenario(scenario);
+  };
+
+  const handleCustomizeScenario = (scenario) => {
+    setScenarioDraft(scenarioToDraft(scenario));
+    setScenarioErrors([]);
+    setBuilderOpen(true);
+  };
+
+  const handleDeleteScenario = (key) => {
+    setCustomScenarios((prev) => prev.filter((scenario) => scenario.key !== key));
+  };
+
+  const handleAddGoal = () => {
+    const target = Number(goalDraft.target);
+    const months = Math.round(Number(goalDraft.months));
+    if (!(target > 0) || !(months >= 1)) return;
+    setSimulationState((prev) =>
+      addGoal(prev, { kind: goalDraft.kind, label: goalDraft.label.trim(), target, months })
+    );
+    setGoalDraft({ ...goalDraft, label: "", target: "" });
+  };
+
+  const handleRemoveGoal = (goalId) => {
+    setSimulationState((prev) => removeGoal(prev, goalId));
+    const { [goalId]: _removed, ...goalContributions } = decision.goalContributions ?? {};
+    setDecision({ ...decision, goalContributions });
+  };
+
+  const handleBreakDeposit = (depositId) => {
+    setSimulationState((prev) => breakDeposit(prev, depositId));
+  };
+
+  const handleLoadSeed = () => {
+    if (seedInput.trim() === "" || Number.isNaN(Number(seedInput))) return;
+    handleGenerateLifeStage(Number(seedInput));
+    setSeedInput("");
   };
 
   const handleRunCycle = () => {
+    setYearNotice(null);
     setSimulationState((prev) =>
       runDecisionCycle({
         lifeStage,
         decision,
         expenses,
+        expensePlan,
         state: prev
       })
     );
   };
 
+  const handleRunYear = () => {
+    const result = runYear({ lifeStage, decision, expensePlan, state: simulationState });
+    setSimulationState(result.state);
+    setYearNotice(
+      result.pausedOn
+        ? `Paused after ${result.monthsRun} months: ${result.pausedOn.event} in month ${result.pausedOn.month}. Review your choices, then continue.`
+        : `A full year passed (months ${simulationState.month}–${result.state.month - 1}).`
+    );
+  };
+
+  const handleEventChoice = (choiceKey) => {
+    setSimulationState((prev) => resolveEventChoice(prev, choiceKey));
+  };
+
+  const handleMoveDebt = (key, offset) => {
+    const next = [...debtPriority];
+    const index = next.indexOf(key);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= next.length) return;
+    [next[index], next[target]] = [next[target], next[index]];
+    setDecision({ ...decision, debtStrategy: "custom", debtPriority: next });
+  };
+
+  const handleRebalance = () => {
+    setSimulationState((prev) => rebalancePortfolio(prev, decision));
+  };
+
   const handleReset = () => {
     setExpensePlan(buildExpensePlan(lifeStage));
     setDecision(defaultDecision);
-    setSimulationState({
-      ...defaultState,
-      cashOnHand: lifeStage.assets,
-      debtBalance: lifeStage.debts.reduce((sum, debt) => sum + debt.balance, 0),
-      debts: lifeStage.debts
+    setSimulationState(createSimulationState(lifeStage, simulationState.seed));
+    setTimelines(initialTimelines);
+  };
+
+  const activeSlot = slots.slots.find((slot) => slot.id === slots.active) ?? slots.slots[0];
+  const currentRun = () => ({
+    life: lifeStage,
+    expenses: expensePlan,
+    decision,
+    sim: simulationState,
+    timelines,
+    market: marketExplorer
+  });
+
+  const openSlot = (slot, data) => {
+    try {
+      writeSlot(slot.id, data);
+    } catch {
+      clearSlot(slot.id);
+      setSlotError("This browser is out of storage space. Delete a save slot and try again.");
+      return;
+    }
+    setSlots({ active: slot.id, slots: [...slots.slots, slot] });
+  };
+
+  const handleNewSlot = () => {
+    const life = generateLifeStage();
+    openSlot(createSlot(slotName.trim() || `Run ${slots.slots.length + 1}`), {
+      life,
+      expenses: buildExpensePlan(life),
+      sim: createSimulationState(life)
+    });
+  };
+
+  const handleDuplicateSlot = () => {
+    openSlot(createSlot(slotName.trim() || `${activeSlot.name} (copy)`), currentRun());
+  };
+
+  const handleRenameSlot = () => {
+    if (slotName.trim() === "") return;
+    setSlots({
+      ...slots,
+      slots: slots.slots.map((slot) => (slot.id === slots.active ? { ...slot, name: slotName.trim() } : slot))
     });
+    setSlotName("");
+  };
+
+  const handleDeleteSlot = () => {
+    const remaining = slots.slots.filter((slot) => slot.id !== slots.active);
+    if (remaining.length === 0) return;
+    clearSlot(slots.active);
+    setSlots({ active: remaining[0].id, slots: remaining });
+  };
+
+  const handleExportSlot = () => {
+    const save = exportSave(activeSlot, currentRun());
+    downloadFile(saveFileName(activeSlot), JSON.stringify(save, null, 2), "application/json");
+  };
+
+  const handleExportData = (dataset, format) => {
+    const file = buildExport(dataset, format, { history: exportHistory, trades: marketExplorer.trades });
+    downloadFile(`${slotFileStem(activeSlot)}-${dataset}.${format}`, file.content, file.type);
+  };
+
+  const handleImportSlot = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const save = parseSave(text);
+        setSlotError(null);
+        openSlot(createSlot(save.name), save.data);
+      } catch (error) {
+        setSlotError(error.message);
+      }
+    });
+  };
+
+  const handleDismissNotices = () => {
+    dismissRecoveryNotices();
+    setNotices([]);
+  };
+
+  const parkActiveBranch = () => ({
+    ...timelines.parked,
+    [timelines.active]: { state: simulationState, decision, expensePlan }
+  });
+
+  const handleOutcomeReport = () => {
+    const input = { lifeStage, decision, expenses, state: simulationState };
+    const levers = outcomeLevers(decision);
+    setReportProgress({ done: 0, total: levers.length });
+    levers
+      .reduce(
+        (measured, lever) =>
+          measured.then((impacts) =>
+            nextTick().then(() => {
+              setReportProgress({ done: impacts.length + 1, total: levers.length });
+              return [...impacts, leverImpact(input, projectionHorizon, projection, lever)];
+            })
+          ),
+        Promise.resolve([])
+      )
+      .then((impacts) => {
+        setReport({ ...outcomeReport(input, projectionHorizon, projection, impacts), decision });
+        setReportProgress(null);
+      });
+  };
+
+  const handleFork = () => {
+    const month = Number(forkDraft.month);
+    const fork = forkTimeline(simulationState, month, lifeStage);
+    if (!fork || timelines.branches.length >= MAX_BRANCHES) return;
+    const id = `branch-${Date.now()}`;
+    setTimelines({
+      active: id,
+      branches: [
+        ...timelines.branches,
+        { id, name: forkDraft.name.trim() || `What if · month ${month}`, parent: timelines.active, forkMonth: month }
+      ],
+      parked: parkActiveBranch()
+    });
+    setSimulationState(fork.state);
+    setDecision(fork.decision);
+    if (fork.expensePlan) setExpensePlan(fork.expensePlan);
+    setForkDraft({ month: "", name: "" });
+  };
+
+  const handleSwitchBranch = (branchId) => {
+    const target = timelines.parked[branchId];
+    if (!target) return;
+    const { [branchId]: _resumed, ...parked } = parkActiveBranch();
+    setTimelines({ ...timelines, active: branchId, parked });
+    setSimulationState(target.state);
+    setDecision(target.decision);
+    setExpensePlan(target.expensePlan);
+  };
+
+  const handleDeleteBranch = (branchId) => {
+    if (branchId === timelines.active) return;
+    const { [branchId]: _deleted, ...parked } = timelines.parked;
+    setTimelines({ ...timelines, branches: timelines.branches.filter((branch) => branch.id !== branchId), parked });
   };
 
   const totalBankAllocation = Object.values(banking).reduce((sum, value) => sum + value, 0);
@@ -730,19 +1280,34 @@ export default function App() {
   const habitAnnual = toolkit.habitAmount * habitMultiplier;
   const habitMultiYear = habitAnnual * toolkit.habitYears;
 
+  const futureSelfOpen = activeMode === "timeline";
+  const futurePaths = (futureDecision) =>
+    futureSelfOpen
+      ? projectMonteCarlo(
+          { lifeStage, decision: futureDecision, expenses, state: simulationState },
+          futureHorizon,
+          horizonPaths(futureHorizon)
+        )
+      : [];
   const timelineNow = useMemo(
-    () => projectFuture({ lifeStage, decision, expenses, state: simulationState }, 60),
-    [lifeStage, decision, expenses, simulationState]
+    () => futurePaths(decision),
+    [futureSelfOpen, lifeStage, decision, expenses, simulationState, futureHorizon]
+  );
+  const salaryDecision = useMemo(
+    () => (salaryChoice === "case" ? applyDecisionDelta(decision, salaryCase.impact) : decision),
+    [salaryChoice, salaryCase, decision]
+  );
+  const marketDecision = useMemo(
+    () => (marketChoice === "case" ? applyDecisionDelta(decision, marketCase.impact) : decision),
+    [marketChoice, marketCase, decision]
   );
-  const salaryDecision = salaryChoice === "case" ? applyDecisionDelta(decision, salaryCase.impact) : decision;
-  const marketDecision = marketChoice === "case" ? applyDecisionDelta(decision, marketCase.impact) : decision;
   const salaryTimelineAlt = useMemo(
-    () => projectFuture({ lifeStage, decision: salaryDecision, expenses, state: simulationState }, 60),
-    [lifeStage, salaryDecision, expenses, simulationState]
+    () => (salaryDecision === decision ? timelineNow : futurePaths(salaryDecision)),
+    [futureSelfOpen, lifeStage, salaryDecision, decision, timelineNow, expenses, simulationState, futureHorizon]
   );
   const marketTimelineAlt = useMemo(
-    () => projectFuture({ lifeStage, decision: marketDecision, expenses, state: simulationState }, 60),
-    [lifeStage, marketDecision, expenses, simulationState]
+    () => (marketDecision === decision ? timelineNow : futurePaths(marketDecision)),
+    [futureSelfOpen, lifeStage, marketDecision, decision, timelineNow, expenses, simulationState, futureHorizon]
   );
 
   const marketPoints = useMemo(() => {
@@ -751,7 +1316,7 @@ export default function App() {
     for (let year = 1; year <= marketProjection.horizon; year += 1) {
       const baseReturn = 0.04 + marketProjection.risk * 0.08;
       balance = (balance + marketProjection.contribution * 12) * (1 + baseReturn);
-      points.push({ year, value: Math.round(balance) });
+      points.push({ year, value: Math.round(balance), contributed: marketProjection.contribution * 12 * year });
     }
     return points;
   }, [marketProjection]);
@@ -806,13 +1371,15 @@ export default function App() {
       } else {
         inventory[itemKey] = (inventory[itemKey] || 0) + qty;
       }
+      const cash = Number((prev.cash - cost).toFixed(2));
       return {
         ...prev,
-        cash: Number((prev.cash - cost).toFixed(2)),
+        cash,
         inventory,
         holdings,
         lastInsight: `Bought ${qty} ${item.label} at ${formatCurrency(price)} each. ${item.risk} risk.`,
-        log: [`Day ${prev.day}: Bought ${qty} ${item.label}.`, ...prev.log].slice(0, 5)
+        log: [`Day ${prev.day}: Bought ${qty} ${item.label}.`, ...prev.log].slice(0, 5),
+        trades: [...prev.trades, tradeEntry(prev, item, "buy", qty, price, cash)]
       };
     });
   };
@@ -838,13 +1405,15 @@ export default function App() {
         inventory[itemKey] = available - qty;
       }
       const revenue = qty * price;
+      const cash = Number((prev.cash + revenue).toFixed(2));
       return {
         ...prev,
-        cash: Number((prev.cash + revenue).toFixed(2)),
+        cash,
         inventory,
         holdings,
         lastInsight: `Sold ${qty} ${item.label} at ${formatCurrency(price)} each.`,
-        log: [`Day ${prev.day}: Sold ${qty} ${item.label}.`, ...prev.log].slice(0, 5)
+        log: [`Day ${prev.day}: Sold ${qty} ${item.label}.`, ...prev.log].slice(0, 5),
+        trades: [...prev.trades, tradeEntry(prev, item, "sell", qty, price, cash)]
       };
     });
   };
@@ -855,6 +1424,27 @@ export default function App() {
 
   return (
     <div className="app">
+      {notices.length > 0 && (
+        <div className="panel recovery-notice">
+          {notices.map((notice) => (
+            <p key={notice.quarantineKey ?? notice.label}>
+              {notice.label} could not be loaded because {notice.reason}. It was set aside
+              {notice.quarantineKey ? ` in this browser under "${notice.quarantineKey}"` : ""} and a fresh one was started.
+            </p>
+          ))}
+          <button className="ghost" onClick={handleDismissNotices}>
+            Dismiss
+          </button>
+        </div>
+      )}
+      {saveFailed && (
+        <div className="panel recovery-notice">
+          <p>
+            This browser is out of storage space, so your latest changes are not being saved. Delete a save slot or
+            timeline, or export this run, to keep playing safely.
+          </p>
+        </div>
+      )}
       <header className="hero">
         <div>
           <p className="tag">Nexawealth · Simulation v3</p>
@@ -865,11 +1455,63 @@ export default function App() {
         </div>
         <div className="hero-card">
           <p>Current life stage</p>
-          <h3>{lifeStage.label}</h3>
-          <p className="muted">Age {lifeStage.age} · {lifeStage.dependents} dependents · {lifeStage.stability} stability</p>
-          <button className="ghost" onClick={handleGenerateLifeStage}>
+          <h3>{profile.title}</h3>
+          <p className="muted">Age {profile.age} · {profile.dependents} dependents · {profile.stability} stability</p>
+          <p className="muted">Seed {simulationState.seed}</p>
+          <button className="ghost" onClick={() => handleGenerateLifeStage()}>
             Generate new life stage
           </button>
+          <label className="input-row">
+            <span>Play a shared seed</span>
+            <input
+              type="number"
+              placeholder="e.g. 4812"
+              value={seedInput}
+              onChange={(event) => setSeedInput(event.target.value)}
+            />
+          </label>
+          <button className="ghost" onClick={handleLoadSeed}>
+            Load seed
+          </button>
+        </div>
+        <div className="hero-card">
+          <p>Save slot</p>
+          <select value={slots.active} onChange={(event) => setSlots({ ...slots, active: event.target.value })}>
+            {slots.slots.map((slot) => (
+              <option key={slot.id} value={slot.id}>
+                {slot.name}
+              </option>
+            ))}
+          </select>
+          <p className="muted">Each slot keeps its own run, so people sharing this device do not overwrite each other.</p>
+          <label className="input-row">
+            <span>Name</span>
+            <input placeholder={activeSlot.name} value={slotName} onChange={(event) => setSlotName(event.target.value)} />
+          </label>
+          <div className="choice-buttons">
+            <button className="ghost" onClick={handleNewSlot}>
+              New
+            </button>
+            <button className="ghost" onClick={handleDuplicateSlot}>
+              Duplicate
+            </button>
+            <button className="ghost" onClick={handleRenameSlot} disabled={slotName.trim() === ""}>
+              Rename
+            </button>
+            <button className="ghost" onClick={handleDeleteSlot} disabled={slots.slots.length <= 1}>
+              Delete
+            </button>
+          </div>
+          <div className="choice-buttons">
+            <button className="ghost" onClick={handleExportSlot}>
+              Export as JSON
+            </button>
+            <label className="file-button">
+              Import JSON
+              <input type="file" accept="application/json,.json" onChange={handleImportSlot} />
+            </label>
+          </div>
+          {slotError && <p className="slot-error">{slotError}</p>}
         </div>
       </header>
 
@@ -888,7 +1530,11 @@ export default function App() {
             <div className="metrics">
               <div>
                 <p>Monthly income</p>
-                <strong>{formatCurrency(lifeStage.income)}</strong>
+                <strong>{formatCurrency(currentIncome)}</strong>
+              </div>
+              <div>
+                <p>Price level</p>
+                <strong>+{formatPercent(priceIndex - 1)}</strong>
               </div>
               <div>
                 <p>Location cost</p>
@@ -903,27 +1549,270 @@ export default function App() {
                 <strong>{formatCurrency(simulationState.debts.reduce((sum, debt) => sum + debt.balance, 0))}</strong>
               </div>
             </div>
+            <p className="muted">
+              {(simulationState.careerLog ?? []).length === 0
+                ? `You started as ${lifeStage.label.toLowerCase()} at ${lifeStage.age}. Birthdays, promotions and life changes arrive every 12 months.`
+                : `Career path: ${simulationState.careerLog
+                    .slice(-3)
+                    .map((entry) => `${entry.label} (month ${entry.month})`)
+                    .join(" · ")}`}
+            </p>
+            <label className="input-row">
+              <span>Tax rules</span>
+              <select value={lifeStage.locale ?? "in"} onChange={(event) => setLifeStage({ ...lifeStage, locale: event.target.value })}>
+                {Object.entries(TAX_LOCALES).map(([key, locale]) => (
+                  <option key={key} value={key}>
+                    {locale.label}
+                  </option>
+                ))}
+              </select>
+            </label>
             <div className="debt-list">
               {simulationState.debts.length === 0 ? (
                 <p className="muted">No active debt. Keep building a buffer.</p>
               ) : (
-                simulationState.debts.map((debt) => (
-                  <div key={debt.type}>
-                    <p>{debt.type}</p>
-                    <strong>{formatCurrency(debt.balance)}</strong>
-                    <span>Min due {formatCurrency(debt.minimumDue)} · {Math.round(debt.rate * 100)}% APR</span>
-                  </div>
-                ))
+                simulationState.debts.map((debt, index) => {
+                  const payoffMonth = payoffPlan.payoffMonths[debtKey(debt, index)];
+                  return (
+                    <div key={debtKey(debt, index)}>
+                      <p>{debt.type}</p>
+                      <strong>{formatCurrency(debt.balance)}</strong>
+                      <span>
+                        Min due {formatCurrency(debt.minimumDue)} · {Math.round(debt.rate * 100)}% APR
+                        {debt.penalty && " · penalty APR after missed payments"}
+                      </span>
+                      <span>
+                        {payoffMonth
+                          ? `Paid off in month ${simulationState.month + payoffMonth - 1} at this pace`
+                          : "Not on track to be paid off at this pace"}
+                      </span>
+                    </div>
+                  );
+                })
               )}
             </div>
           </div>
 
+          <div className="panel">
+            <h2>Scenario library</h2>
+            <p className="muted">
+              {lifeStage.scenarioTitle
+                ? `Playing: ${lifeStage.scenarioTitle}.`
+                : "Playing a randomly generated life stage."}
+              {(lifeStage.goals ?? []).length > 0 &&
+                ` Goals: ${lifeStage.goals.map((goal) => `${goal.label} (${formatCurrency(goal.target)})`).join(", ")}.`}
+            </p>
+            <div className="debt-list">
+              {[...SCENARIO_TEMPLATES, ...customScenarios].map((scenario) => (
+                <div key={scenario.key}>
+                  <p>{scenario.title}</p>
+                  <span>{scenario.description}</span>
+                  <span>
+                    {LIFE_STAGES[scenario.stage]?.label} · Age {scenario.age} · {formatCurrency(scenario.income)} a month ·{" "}
+                    {(scenario.debts ?? []).length} debts
+                  </span>
+                  <div className="choice-buttons">
+                    <button className="ghost" onClick={() => handleLoadScenario(scenario)}>
+                      Play
+                    </button>
+                    <button className="ghost" onClick={() => handleCustomizeScenario(scenario)}>
+                      Customize
+                    </button>
+                    {customScenarios.includes(scenario) && (
+                      <button className="ghost" onClick={() => handleDeleteScenario(scenario.key)}>
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+            {!builderOpen ? (
+              <button className="ghost" onClick={() => setBuilderOpen(true)}>
+                Build a custom scenario
+              </button>
+            ) : (
+              <div className="scenario-builder">
+                <h3>Custom scenario</h3>
+                <label className="input-row">
+                  <span>Title</span>
+                  <input value={scenarioDraft.title} onChange={(event) => updateDraft("title", event.target.value)} />
+                </label>
+                <label className="input-row">
+                  <span>Life stage</span>
+                  <select value={scenarioDraft.stage} onChange={(event) => updateDraft("stage", event.target.value)}>
+                    {Object.entries(LIFE_STAGES).map(([key, stage]) => (
+                      <option key={key} value={key}>
+                        {stage.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="input-row">
+                  <span>Location</span>
+                  <select value={scenarioDraft.location} onChange={(event) => updateDraft("location", event.target.value)}>
+                    {Object.entries(LOCATION_COST).map(([key, location]) => (
+                      <option key={key} value={key}>
+                        {location.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="input-row">
+                  <span>Tax rules</span>
+                  <select value={scenarioDraft.locale} onChange={(event) => updateDraft("locale", event.target.value)}>
+                    {Object.entries(TAX_LOCALES).map(([key, locale]) => (
+                      <option key={key} value={key}>
+                        {locale.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {[
+                  ["age", "Age"],
+                  ["dependents", "Dependents"],
+                  ["income", "Monthly income"],
+                  ["startingCash", "Starting cash"],
+                  ["housing", "Housing (monthly)"],
+                  ["utilities", "Utilities (monthly)"]
+                ].map(([field, label]) => (
+                  <label key={field} className="input-row">
+                    <span>{label}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={scenarioDraft[field]}
+                      onChange={(event) => updateDraft(field, event.target.value)}
+                    />
+                  </label>
+                ))}
+                <p>Debts</p>
+                {scenarioDraft.debts.map((debt, index) => (
+                  <div key={index} className="choice-buttons">
+                    <select value={debt.type} onChange={(event) => updateDraftRow("debts", index, "type", event.target.value)}>
+                      {DEBT_TYPES.map((type) => (
+                        <option key={type.label} value={type.label}>
+                          {type.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Balance"
+                      value={debt.balance}
+                      onChange={(event) => updateDraftRow("debts", index, "balance", event.target.value)}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="APR %"
+                      value={debt.rate}
+                      onChange={(event) => updateDraftRow("debts", index, "rate", event.target.value)}
+                    />
+                    {isRevolvingType(debt.type) && (
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="Card limit"
+                        value={debt.limit ?? ""}
+                        onChange={(event) => updateDraftRow("debts", index, "limit", event.target.value)}
+                      />
+                    )}
+                    <button
+                      className="ghost"
+                      onClick={() => updateDraft("debts", scenarioDraft.debts.filter((_, rowIndex) => rowIndex !== index))}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button
+                  className="ghost"
+                  onClick={() =>
+                    updateDraft("debts", [
+                      ...scenarioDraft.debts,
+                      { type: DEBT_TYPES[0].label, balance: "", rate: String(DEBT_TYPES[0].rate * 100), limit: "" }
+                    ])
+                  }
+                >
+                  Add debt
+                </button>
+                <p>Savings goals</p>
+                {scenarioDraft.goals.map((goal, index) => (
+                  <div key={index} className="choice-buttons">
+                    <select value={goal.kind} onChange={(event) => updateDraftRow("goals", index, "kind", event.target.value)}>
+                      {Object.entries(GOAL_KINDS).map(([key, kind]) => (
+                        <option key={key} value={key}>
+                          {kind.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      placeholder="Goal"
+                      value={goal.label}
+                      onChange={(event) => updateDraftRow("goals", index, "label", event.target.value)}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Target"
+                      value={goal.target}
+                      onChange={(event) => updateDraftRow("goals", index, "target", event.target.value)}
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Months"
+                      value={goal.months}
+                      onChange={(event) => updateDraftRow("goals", index, "months", event.target.value)}
+                    />
+                    <button
+                      className="ghost"
+                      onClick={() => updateDraft("goals", scenarioDraft.goals.filter((_, rowIndex) => rowIndex !== index))}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button className="ghost" onClick={() => updateDraft("goals", [...scenarioDraft.goals, { kind: "other", label: "", target: "", months: "24" }])}>
+                  Add goal
+                </button>
+                {scenarioErrors.length > 0 && (
+                  <ul className="feedback scenario-errors">
+                    {scenarioErrors.map((error) => (
+                      <li key={error}>{error}</li>
+                    ))}
+                  </ul>
+                )}
+                <div className="choice-buttons">
+                  <button onClick={() => handleSaveScenario(true)}>Save and play</button>
+                  <button className="ghost" onClick={() => handleSaveScenario(false)}>
+                    Save
+                  </button>
+                  <button
+                    className="ghost"
+                    onClick={() => {
+                      setBuilderOpen(false);
+                      setScenarioErrors([]);
+                    }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
           <div className="panel">
             <h2>Monthly spending choices</h2>
             <p className="muted">Most people in this stage spend around {formatCurrency(recommendedSpend)} on living costs.</p>
             <p className={`spend-${spendRisk}`}>
               Your current plan is {spendRisk === "safe" ? "affordable" : spendRisk === "tight" ? "tight" : "risky"}.
             </p>
+            <p className="muted">
+              {taxLocale.consumptionTaxLabel} adds {formatCurrency(expenses.consumptionTax)} to this month's shopping.
+            </p>
             <div className="expense-grid">
               {Object.entries(expenseCatalog).map(([category, items]) => (
                 <div key={category} className="expense-category">
@@ -937,7 +1826,7 @@ export default function App() {
                         <div>
                           <p>{item.label}</p>
                           <span>
-                            {item.unit} · ${item.priceRange[0].toFixed(2)} - ${item.priceRange[1].toFixed(2)}
+                            {`${item.unit} · $${(item.priceRange[0] * priceIndex).toFixed(2)} - $${(item.priceRange[1] * priceIndex).toFixed(2)}`}
                           </span>
                         </div>
                         <div className="expense-controls">
@@ -1001,6 +1890,35 @@ export default function App() {
                 onChange={(event) => setDecision({ ...decision, debtPayment: Number(event.target.value) })}
               />
             </label>
+            <ChoiceButtons
+              label="Repayment strategy"
+              value={decision.debtStrategy ?? "avalanche"}
+              onChange={(value) => setDecision({ ...decision, debtStrategy: value })}
+              options={Object.entries(DEBT_STRATEGIES).map(([value, strategy]) => ({
+                value,
+                label: strategy.label
+              }))}
+            />
+            {decision.debtStrategy === "custom" && (
+              <div className="debt-list">
+                {debtPriority.map((key, index) => {
+                  const debt = simulationState.debts.find((entry, entryIndex) => debtKey(entry, entryIndex) === key);
+                  return (
+                    <div key={key} className="choice-buttons">
+                      <span>
+                        {index + 1}. {debt.type} · {formatCurrency(debt.balance)}
+                      </span>
+                      <button onClick={() => handleMoveDebt(key, -1)} disabled={index === 0}>
+                        ↑
+                      </button>
+                      <button onClick={() => handleMoveDebt(key, 1)} disabled={index === debtPriority.length - 1}>
+                        ↓
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
             <label className="input-row">
               <span>Investments</span>
               <input
@@ -1017,48 +1935,463 @@ export default function App() {
                 onChange={(event) => setDecision({ ...decision, emergencyCash: Number(event.target.value) })}
               />
             </label>
+            <p className="muted">
+              Emergency cash goes to a savings account earning {formatPercent(savingsAccountRate(simulationState))} a year,
+              paid monthly.
+            </p>
+            <ChoiceButtons
+              label="If cash runs short"
+              value={decision.shortfallPolicy ?? defaultDecision.shortfallPolicy}
+              onChange={(value) => setDecision({ ...decision, shortfallPolicy: value })}
+              options={Object.entries(SHORTFALL_POLICIES).map(([value, policy]) => ({ value, label: policy.label }))}
+            />
+            <p className="muted">
+              A shortfall drains your cash, then emergency savings,{" "}
+              {SHORTFALL_POLICIES[decision.shortfallPolicy]?.liquidate ? "then your investments at market price, " : ""}then
+              any card headroom, then an overdraft at {formatPercent(OVERDRAFT.rate)} a year capped at two months of
+              salary. Once that is full, investments are sold whatever you chose, and anything left stays as negative cash
+              that next month's pay has to clear first. Whenever
+              your pay covers your bills, minimum debt payments are collected first, even if you set your debt payment
+              lower.
+            </p>
+            <label className="input-row">
+              <span>New fixed deposit each month</span>
+              <input
+                type="number"
+                min="0"
+                value={decision.fixedDeposit ?? 0}
+                onChange={(event) => setDecision({ ...decision, fixedDeposit: Number(event.target.value) })}
+              />
+            </label>
+            <ChoiceButtons
+              label="Fixed deposit term"
+              value={String(decision.fixedDepositTerm ?? 12)}
+              onChange={(value) => setDecision({ ...decision, fixedDepositTerm: Number(value) })}
+              options={Object.entries(FIXED_DEPOSIT_TERMS).map(([value, term]) => ({
+                value,
+                label: `${term.label} (+${formatPercent(term.premium)})`
+              }))}
+            />
+            <label className="input-row">
+              <span>Recurring deposit installment</span>
+              <input
+                type="number"
+                min="0"
+                value={decision.recurringDeposit ?? 0}
+                onChange={(event) => setDecision({ ...decision, recurringDeposit: Number(event.target.value) })}
+              />
+            </label>
+            <ChoiceButtons
+              label="Recurring deposit term"
+              value={String(decision.recurringDepositTerm ?? 12)}
+              onChange={(value) => setDecision({ ...decision, recurringDepositTerm: Number(value) })}
+              options={Object.entries(RECURRING_DEPOSIT_TERMS).map(([value, term]) => ({
+                value,
+                label: `${term.label} (+${formatPercent(term.premium)})`
+              }))}
+            />
+            <p className="muted">
+              Deposits lock in the savings rate plus the premium shown. A recurring deposit commits you to its installment
+              every month until it matures; a new one opens once the last has paid out.
+            </p>
+            <label className="input-row">
+              <span>Insurance premium</span>
+              <input
+                type="number"
+                value={decision.insurancePremium ?? 0}
+                onChange={(event) => setDecision({ ...decision, insurancePremium: Number(event.target.value) })}
+              />
+            </label>
+            <label className="input-row">
+              <span>Retirement contribution</span>
+              <input
+                type="number"
+                value={decision.retirementContribution ?? 0}
+                onChange={(event) => setDecision({ ...decision, retirementContribution: Number(event.target.value) })}
+              />
+            </label>
+            {activeGoals.map((goal) => (
+              <label key={goal.id} className="input-row">
+                <span>Goal: {goal.label}</span>
+                <input
+                  type="number"
+                  value={decision.goalContributions?.[goal.id] ?? 0}
+                  onChange={(event) =>
+                    setDecision({
+                      ...decision,
+                      goalContributions: { ...decision.goalContributions, [goal.id]: Number(event.target.value) }
+                    })
+                  }
+                />
+              </label>
+            ))}
+            <ChoiceButtons
+              label="Tax deductions"
+              value={gatedDecision.deductionMode ?? "standard"}
+              onChange={(value) => setDecision({ ...decision, deductionMode: value })}
+              options={[
+                { value: "standard", label: "Standard deduction" },
+                {
+                  value: "itemised",
+                  label: "Itemise insurance + retirement",
+                  disabled: !unlocked.includes("tax_optimization")
+                }
+              ]}
+            />
+            {!unlocked.includes("tax_optimization") && <p className="muted">{lockHint("tax_optimization")}</p>}
             <ChoiceButtons
               label="Market climate"
               value={decision.marketMode}
               onChange={(value) => setDecision({ ...decision, marketMode: value })}
-              options={Object.entries(marketPresets).map(([value, preset]) => ({
-                value,
-                label: preset.label
-              }))}
+              options={[
+                { value: AUTO_MARKET_MODE, label: "The economy decides" },
+                ...Object.entries(MARKET_REGIMES).map(([value, preset]) => ({
+                  value,
+                  label: preset.label
+                }))
+              ]}
             />
+            {decision.marketMode === AUTO_MARKET_MODE && (
+              <p className="muted">
+                Markets drift between booms, slumps, inflation and recession on their own. Currently:{" "}
+                {MARKET_REGIMES[simulationState.regime]?.label ?? MARKET_REGIMES.neutral.label}.
+              </p>
+            )}
             <ChoiceButtons
               label="Investment risk"
-              value={decision.riskProfile}
-              onChange={(value) => setDecision({ ...decision, riskProfile: value })}
+              value={decision.allocation ? "custom" : decision.riskProfile}
+              onChange={(value) => setDecision({ ...decision, riskProfile: value, allocation: null })}
               options={Object.entries(riskPresets).map(([value, preset]) => ({
                 value,
                 label: preset.label
               }))}
             />
+            <p className="muted">Split each month's investment across asset classes.</p>
+            {Object.entries(ASSET_CLASSES).map(([key, asset]) => (
+              <label key={key} className="input-row slider">
+                <span>{asset.label}</span>
+                <div>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={allocation[key] ?? 0}
+                    disabled={Boolean(lockedAssetClasses[key])}
+                    onChange={(event) =>
+                      setDecision({ ...decision, allocation: { ...allocation, [key]: Number(event.target.value) } })
+                    }
+                  />
+                  <strong>{Math.round(((allocation[key] ?? 0) / allocationTotal) * 100)}%</strong>
+                </div>
+                {lockedAssetClasses[key] && <span className="muted">{lockHint(lockedAssetClasses[key])}</span>}
+              </label>
+            ))}
             <button className="primary" onClick={handleRunCycle}>
               Run monthly cycle
             </button>
+            <button className="primary" onClick={handleRunYear}>
+              Run a year
+            </button>
+            {yearNotice && <p className="muted">{yearNotice}</p>}
             <button className="ghost" onClick={handleReset}>
               Reset this simulation
             </button>
           </div>
 
+          <div className="panel">
+            <h2>Savings goals</h2>
+            {(simulationState.goals ?? []).length === 0 ? (
+              <p className="muted">Name something worth saving for, then earmark a monthly amount in Money allocation.</p>
+            ) : (
+              <div className="debt-list">
+                {simulationState.goals.map((goal) => {
+                  const pace = goalPace(goal, simulationState.month - 1);
+                  return (
+                    <div key={goal.id}>
+                      <p>
+                        {goal.label} · {GOAL_KINDS[goal.kind]?.label}
+                      </p>
+                      <strong>
+                        {formatCurrency(goal.saved)} of {formatCurrency(goal.target)}
+                      </strong>
+                      <div className="goal-progress">
+                        <div style={{ width: `${pace.progress * 100}%` }} />
+                      </div>
+                      <span>
+                        {goal.completedMonth !== null
+                          ? `Completed in month ${goal.completedMonth}`
+                          : pace.onPace
+                          ? `On pace for month ${goal.targetMonth}`
+                          : `Off pace: needs ${formatCurrency(pace.required)} a month to finish by month ${goal.targetMonth}`}
+                      </span>
+                      <button className="ghost" onClick={() => handleRemoveGoal(goal.id)}>
+                        {goal.saved > 0 ? "Close goal and return funds to cash" : "Remove goal"}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            <label className="input-row">
+              <span>Goal type</span>
+              <select value={goalDraft.kind} onChange={(event) => setGoalDraft({ ...goalDraft, kind: event.target.value })}>
+                {Object.entries(GOAL_KINDS).map(([key, kind]) => (
+                  <option key={key} value={key}>
+                    {kind.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="input-row">
+              <span>Name (optional)</span>
+              <input value={goalDraft.label} onChange={(event) => setGoalDraft({ ...goalDraft, label: event.target.value })} />
+            </label>
+            <label className="input-row">
+              <span>Target amount</span>
+              <input
+                type="number"
+                min="0"
+                value={goalDraft.target}
+                onChange={(event) => setGoalDraft({ ...goalDraft, target: event.target.value })}
+              />
+            </label>
+            <label className="input-row">
+              <span>Reach it within (months)</span>
+              <input
+                type="number"
+                min="1"
+                value={goalDraft.months}
+                onChange={(event) => setGoalDraft({ ...goalDraft, months: event.target.value })}
+              />
+            </label>
+            <button className="ghost" onClick={handleAddGoal}>
+              Add goal
+            </button>
+          </div>
+
+          <div className="panel">
+            <h2>Deposits</h2>
+            {(simulationState.deposits ?? []).length === 0 ? (
+              <p className="muted">
+                Fixed and recurring deposits you open in Money allocation appear here until they mature and pay out to cash.
+              </p>
+            ) : (
+              <div className="debt-list">
+                {simulationState.deposits.map((deposit) => {
+                  const quote = earlyWithdrawal(deposit);
+                  return (
+                    <div key={deposit.id}>
+                      <p>
+                        {depositLabel(deposit)} at {formatPercent(deposit.rate)}
+                      </p>
+                      <strong>{formatCurrency(deposit.balance)}</strong>
+                      <span>
+                        {formatCurrency(deposit.principal)} deposited
+                        {deposit.kind === "recurring" ? ` · ${formatCurrency(deposit.installment)} a month` : ""} · matures in
+                        month {deposit.maturityMonth}
+                      </span>
+                      <button className="ghost" onClick={() => handleBreakDeposit(deposit.id)}>
+                        Break early for {formatCurrency(quote.payout)} ({formatCurrency(quote.penalty)} penalty)
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            {(latestSnapshot?.depositsMatured ?? []).map((deposit) => (
+              <p key={deposit.label} className="muted">
+                {deposit.label} matured last month: {formatCurrency(deposit.payout)} paid to cash.
+              </p>
+            ))}
+          </div>
+
+          <div className="panel">
+            <h2>Achievements</h2>
+            <p className="muted">
+              {(simulationState.achievements ?? []).length} of {ACHIEVEMENTS.length} earned. Some open up new options in
+              Money allocation.
+            </p>
+            <div className="debt-list">
+              {ACHIEVEMENTS.map((achievement) => {
+                const earned = (simulationState.achievements ?? []).find((entry) => entry.key === achievement.key);
+                return (
+                  <div key={achievement.key} className={earned ? "achievement earned" : "achievement"}>
+                    <p>{achievement.label}</p>
+                    <span>{earned ? `Earned in month ${earned.month}` : achievement.detail}</span>
+                    {(achievement.unlocks ?? []).length > 0 && (
+                      <span>Unlocks {achievement.unlocks.map((key) => UNLOCKS[key].label.toLowerCase()).join(", ")}</span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
           <div className="panel">
             <h2>Live Dashboard</h2>
+            <ChoiceButtons
+              label="Show values as"
+              value={valueLens}
+              onChange={setValueLens}
+              options={[
+                { value: "nominal", label: "Nominal" },
+                { value: "real", label: "Real (start-of-run prices)" }
+              ]}
+            />
             <div className="cards">
-              <Card title="Net worth" value={formatCurrency(latestSnapshot?.netWorth)} />
+              <Card
+                title="Net worth"
+                value={formatCurrency(latestSnapshot?.[netWorthKey])}
+                footnote={valueLens === "real" ? "Inflation-adjusted" : undefined}
+              />
+              <Card title="Gross pay" value={formatCurrency(latestSnapshot?.income ?? currentIncome)} footnote="Before tax" />
+              <Card
+                title="Income tax"
+                value={latestSnapshot?.incomeTax !== undefined ? formatCurrency(latestSnapshot.incomeTax) : "–"}
+                footnote={latestSnapshot?.taxDeduction !== undefined ? `Deduction ${formatCurrency(latestSnapshot.taxDeduction)}/yr` : undefined}
+              />
+              <Card title="Take-home pay" value={latestSnapshot?.netIncome !== undefined ? formatCurrency(latestSnapshot.netIncome) : "–"} />
+              <Card
+                title={`${taxLocale.consumptionTaxLabel} on spending`}
+                value={latestSnapshot?.consumptionTax !== undefined ? formatCurrency(latestSnapshot.consumptionTax) : "–"}
+              />
               <Card title="Cash on hand" value={formatCurrency(latestSnapshot?.cashOnHand ?? simulationState.cashOnHand)} />
-              <Card title="Savings" value={formatCurrency(latestSnapshot?.savings ?? simulationState.savings)} />
+              <Card
+                title="Savings"
+                value={formatCurrency(latestSnapshot?.savings ?? simulationState.savings)}
+                footnote={
+                  latestSnapshot?.savingsInterest !== undefined
+                    ? `${formatCurrency(latestSnapshot.savingsInterest)} interest this month`
+                    : undefined
+                }
+              />
+              <Card
+                title="Deposits"
+                value={formatCurrency(latestSnapshot?.deposits ?? 0)}
+                footnote={
+                  latestSnapshot?.depositInterest !== undefined
+                    ? `${formatCurrency(latestSnapshot.depositInterest)} interest this month`
+                    : undefined
+                }
+              />
               <Card title="Investments" value={formatCurrency(latestSnapshot?.investments ?? simulationState.investments)} />
               <Card title="Debt" value={formatCurrency(latestSnapshot?.debtBalance ?? simulationState.debtBalance)} />
-              <Card title="Credit score" value={latestSnapshot?.creditScore ?? simulationState.creditScore} />
+              <Card
+                title="Interest paid"
+                value={formatCurrency(simulationState.interestPaid ?? 0)}
+                footnote={latestSnapshot?.interestThisMonth !== undefined ? `${formatCurrency(latestSnapshot.interestThisMonth)} this month` : undefined}
+              />
+              <Card
+                title="Debt-free in"
+                value={
+                  simulationState.debts.length === 0
+                    ? "Debt-free"
+                    : payoffPlan.monthsToDebtFree === null
+                    ? "Not at this pace"
+                    : `${payoffPlan.monthsToDebtFree} months`
+                }
+              />
+              <Card
+                title="Credit score"
+                value={latestSnapshot?.creditScore ?? simulationState.creditScore}
+                footnote={creditReason}
+              />
               <Card title="Stress" value={`${latestSnapshot?.stressLevel ?? simulationState.stressLevel}%`} />
               <Card title="Market return" value={latestSnapshot ? formatPercent(latestSnapshot.marketReturn) : "–"} footnote="Monthly" />
+              <Card
+                title="Economy"
+                value={latestSnapshot ? MARKET_REGIMES[latestSnapshot.regime]?.label ?? "–" : "–"}
+                footnote={latestSnapshot?.inflation !== undefined ? `Inflation ${formatPercent(latestSnapshot.inflation * 12)}/yr` : undefined}
+              />
             </div>
+            {(simulationState.creditFactors ?? []).length > 0 && (
+              <div className="chart-block">
+                <h3>What drives your credit score</h3>
+                <div className="debt-list">
+                  {simulationState.creditFactors.map((factor) => {
+                    const change = latestSnapshot?.creditChanges?.find((entry) => entry.key === factor.key);
+                    return (
+                      <div key={factor.key}>
+                        <p>{factor.label}</p>
+                        <strong>
+                          {factor.points} / {factor.max}
+                        </strong>
+                        <span>
+                          {factor.detail}
+                          {change && ` · ${change.delta > 0 ? "+" : ""}${change.delta} this month`}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
             <div className="chart-block">
               <h3>Net worth trajectory</h3>
-              <LineChart points={simulationState.history} />
+              <ChoiceButtons
+                label="Timeline"
+                value={timelineView}
+                onChange={setTimelineView}
+                options={[
+                  { value: "monthly", label: "Monthly" },
+                  { value: "yearly", label: "Yearly" }
+                ]}
+              />
+              {timelineView === "monthly" ? (
+                <LineChart
+                  data={simulationState.history}
+                  yLabel="Balance"
+                  series={[
+                    { key: netWorthKey, label: netWorthLabel },
+                    { key: "investments", label: "Investments" },
+                    { key: "debtBalance", label: "Debt" }
+                  ]}
+                  markers={simulationState.history.flatMap(eventMarkers)}
+                />
+              ) : (simulationState.annualSummaries ?? []).length === 0 ? (
+                <p className="muted">Complete a full simulated year to see yearly results.</p>
+              ) : (
+                <>
+                  <BarChart
+                    data={simulationState.annualSummaries}
+                    xKey="year"
+                    xLabel="Year"
+                    series={[
+                      { key: "income", label: "Earned" },
+                      { key: "spending", label: "Spent" },
+                      { key: "endNetWorth", label: "Net worth at year end" }
+                    ]}
+                  />
+                  <AnnualSummaryList summaries={simulationState.annualSummaries.slice(-3)} />
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="panel">
+            <h2>Investment cockpit</h2>
+            <p className="muted">
+              Each asset class reacts to the economy differently. Markets push your mix away from its targets over time.
+            </p>
+            <div className="debt-list">
+              {drift.map((entry) => (
+                <div key={entry.key}>
+                  <p>{entry.label}</p>
+                  <strong>{formatCurrency(entry.value)}</strong>
+                  <span>
+                    {formatPercent(entry.actual)} now · target {formatPercent(entry.target)} · drift{" "}
+                    {entry.drift >= 0 ? "+" : ""}
+                    {formatPercent(entry.drift)}
+                    {latestSnapshot?.assetReturns?.[entry.key] !== undefined &&
+                      ` · last month ${formatPercent(latestSnapshot.assetReturns[entry.key])}`}
+                  </span>
+                </div>
+              ))}
             </div>
+            <button className="ghost" onClick={handleRebalance} disabled={maxDrift < 0.005}>
+              Rebalance to targets
+            </button>
           </div>
 
           <div className="panel">
@@ -1067,28 +2400,447 @@ export default function App() {
               <p className="muted">Run a cycle to receive feedback and consequences.</p>
             ) : (
               <ul className="feedback">
-                {feedback.map((item) => (
-                  <li key={item}>{item}</li>
+                {feedback.map((insight) => (
+                  <li key={insight.key} className={`insight-${insight.tone}`}>
+                    {insight.message}
+                  </li>
                 ))}
               </ul>
             )}
             <div className="event-tile">
               <p>Latest life event</p>
               <strong>{latestSnapshot?.event ?? "No events yet"}</strong>
+              {latestSnapshot?.eventChoice && <span className="muted"> · {latestSnapshot.eventChoice}</span>}
             </div>
+            {simulationState.pendingChoice && (
+              <div className="event-tile">
+                <p>{simulationState.pendingChoice.label}: how do you respond?</p>
+                <div className="event-choices">
+                  {simulationState.pendingChoice.options.map((option) => (
+                    <button key={option.key} className="ghost" onClick={() => handleEventChoice(option.key)}>
+                      <strong>{option.label}</strong>
+                      <span className="muted">{option.detail}</span>
+                    </button>
+                  ))}
+                </div>
+                <p className="muted">If you run the next cycle without choosing, the first option is taken.</p>
+              </div>
+            )}
+            {(simulationState.activeEvents ?? []).length > 0 && (
+              <ul className="feedback">
+                {simulationState.activeEvents.map((event) => (
+                  <li key={event.id}>
+                    {event.label} · {event.remaining} month{event.remaining === 1 ? "" : "s"} left
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
 
           <div className="panel">
-            <h2>12-month projection</h2>
-            <LineChart points={projection.map((point) => ({ netWorth: point.netWorth }))} height={120} />
+            <h2>{PROJECTION_HORIZONS[projectionHorizon].label} projection</h2>
+            <ChoiceButtons
+              label="Look ahead"
+              value={projectionHorizon}
+              onChange={setProjectionHorizon}
+              options={horizonOptions}
+            />
+            <LineChart
+              data={projection}
+              height={150}
+              yLabel={netWorthLabel}
+              series={[{ key: `${netWorthKey}P50`, label: "Middle outcome", band: lensBand, bandLabel: "8 in 10 futures" }]}
+            />
+            <p className="muted">
+              {projectionPending
+                ? "Updating for your latest changes…"
+                : "Shaded band: 8 in 10 simulated futures land inside it. Line: the middle outcome."}
+            </p>
             <div className="projection-grid">
-              {projection.slice(-3).map((point) => (
+              {projectionMilestones.slice(-3).map((point) => (
                 <div key={point.month}>
                   <p>Month {point.month}</p>
-                  <strong>{formatCurrency(point.netWorth)}</strong>
+                  <strong>{formatCurrency(point[`${netWorthKey}P50`])}</strong>
+                  <span className="muted">
+                    {formatCurrency(point[lensBand[0]])} – {formatCurrency(point[lensBand[1]])}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="panel">
+            <h2>You in {PROJECTION_HORIZONS[projectionHorizon].label}</h2>
+            <p className="muted">
+              A read-out of your most likely life at the end of the projection, from {horizonPaths(projectionHorizon)}{" "}
+              simulated futures on your current plan.
+            </p>
+            <button
+              className="primary"
+              onClick={handleOutcomeReport}
+              disabled={Boolean(reportProgress) || projectionPending}
+            >
+              {reportProgress
+                ? `Measuring decision ${reportProgress.done} of ${reportProgress.total}…`
+                : report
+                ? "Regenerate report"
+                : "Generate report"}
+            </button>
+            {reportStale && (
+              <p className="muted">
+                This {report.label} report was built at month {report.fromMonth}. Regenerate it to match your current
+                plan and horizon.
+              </p>
+            )}
+            {report && (
+              <>
+                <p>
+                  By month {report.toMonth} ({report.label} on, age {report.age}) you are most likely worth{" "}
+                  {formatCurrency(report.netWorth.p50)}, feeling {report.stress.label}, with a {report.runway.label}{" "}
+                  cash cushion.
+                </p>
+                <ul className="feedback">
+                  <li>
+                    <strong>Net worth:</strong> {formatCurrency(report.netWorth.p50)} most likely; 8 in 10 futures land
+                    between {formatCurrency(report.netWorth.p10)} and {formatCurrency(report.netWorth.p90)}. That is{" "}
+                    {formatCurrency(report.netWorth.real)} in today's money.
+                  </li>
+                  <li>
+                    <strong>Debt-free date:</strong>{" "}
+                    {report.debtFree.status === "none"
+                      ? "No debt to clear on the middle path."
+                      : report.debtFree.status === "cleared"
+                      ? `Month ${report.debtFree.month}, around age ${report.debtFree.age}.`
+                      : `Not within ${report.label}; about ${formatCurrency(report.debtFree.remaining)} is still owed.`}
+                  </li>
+                  <li>
+                    <strong>Emergency runway:</strong> {report.runway.months.toFixed(1)} months of spending held in cash
+                    and savings ({formatCurrency(report.runway.liquid)}).
+                  </li>
+                  <li>
+                    <strong>Financial independence:</strong> {formatPercent(report.independence.progress)} of the{" "}
+                    {formatCurrency(report.independence.target)} you would need invested to live off it (25 years of
+                    spending).
+                  </li>
+                  <li>
+                    <strong>Stress:</strong> {report.stress.p50}/100, {report.stress.label}; between {report.stress.p10}{" "}
+                    and {report.stress.p90} in 8 in 10 futures.
+                  </li>
+                </ul>
+                <h3>Decisions that changed the outcome most</h3>
+                {report.topDecisions.length === 0 ? (
+                  <p className="muted">You are on the starting plan. Change a decision to see what it is worth.</p>
+                ) : (
+                  <ul className="feedback">
+                    {report.topDecisions.map((entry) => (
+                      <li key={entry.key}>
+                        <strong>{entry.label}</strong> ({decisionValueLabel(entry.key, entry.value)}){" "}
+                        {entry.impact >= 0 ? "adds" : "costs"} about {formatCurrency(Math.abs(entry.impact))} of net worth
+                        by month {report.toMonth}, compared with leaving it at the starting setting.
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="panel">
+            <h2>Spending heatmap</h2>
+            <p className="muted">
+              Each square is one category in one of the last {HEATMAP_MONTHS} months. The brighter the square, the further
+              that category has climbed above its cheapest month. ▲ marks a jump of at least 10% on the month before. Pick
+              a category to see its items.
+            </p>
+            {heatmap.rows.length === 0 ? (
+              <p className="muted">Run a month to start filling in the heatmap.</p>
+            ) : (
+              <div className="heatmap-scroll">
+                <table className="heatmap">
+                  <caption className="sr-only">Spending by category and month</caption>
+                  <thead>
+                    <tr>
+                      <th scope="col">Category</th>
+                      {heatmap.months.map((month) => (
+                        <th key={month} scope="col">
+                          M{month}
+                        </th>
+                      ))}
+                      <th scope="col">Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {heatmap.rows.map((row) => (
+                      <tr key={row.category}>
+                        <th scope="row">
+                          {row.drillable ? (
+                            <button
+                              className={spendingFocus === row.category ? "active" : "ghost"}
+                              aria-pressed={spendingFocus === row.category}
+                              onClick={() => setSpendingFocus(spendingFocus === row.category ? null : row.category)}
+                            >
+                              {row.label}
+                            </button>
+                          ) : (
+                            row.label
+                          )}
+                        </th>
+                        {row.cells.map((cell) => (
+                          <td
+                            key={cell.month}
+                            className={cell.grew ? "heat-grew" : undefined}
+                            style={{ background: `rgba(70, 240, 255, ${(0.06 + cell.intensity * 0.5).toFixed(2)})` }}
+                            title={`${row.label}, month ${cell.month}: ${formatCurrency(cell.amount)} (${formatChange(
+                              cell.change
+                            )})`}
+                          >
+                            {cell.grew && <span aria-label="grew">▲ </span>}
+                            {formatCurrencyTick(cell.amount)}
+                          </td>
+                        ))}
+                        <td className={row.change > 0 ? "spend-risky" : "spend-safe"}>{formatChange(row.change)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {focusSpending && (
+              <div className="chart-block">
+                <h3>{SPENDING_CATEGORIES[spendingFocus].label}, item by item</h3>
+                {focusSpending.items.length === 0 ? (
+                  <p className="muted">Nothing in this category has been bought in the months on record.</p>
+                ) : (
+                  <>
+                    <StackedBarChart
+                      data={focusSpending.points}
+                      yLabel="Spent"
+                      series={focusSpending.items.map((item) => ({ key: item.key, label: item.label }))}
+                    />
+                    <ul className="feedback">
+                      {focusSpending.changes.map((item) => (
+                        <li key={item.key}>
+                          {item.label}: {formatCurrency(item.first)} → {formatCurrency(item.last)} a month (
+                          {formatChange(item.change)})
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="panel">
+            <h2>Where the money went</h2>
+            <p className="muted">
+              Follow one month's money from where it came from to where it ended up. Hover a stream, or focus the chart and
+              use the arrow keys.
+            </p>
+            {!cashflowSnapshot ? (
+              <p className="muted">Run a month to see its cashflow.</p>
+            ) : (
+              <>
+                <label className="input-row">
+                  <span>Month</span>
+                  <select value={cashflowSnapshot.month} onChange={(event) => setCashflowMonth(Number(event.target.value))}>
+                    {[...simulationState.history].reverse().map((snapshot) => (
+                      <option key={snapshot.month} value={snapshot.month}>
+                        {`Month ${snapshot.month}${snapshot.eventKey !== "none" ? ` · ${snapshot.event}` : ""}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {cashflow ? (
+                  <>
+                    <SankeyChart
+                      title={`Month ${cashflow.month}: ${formatCurrency(cashflow.moneyIn)} in`}
+                      nodes={cashflow.nodes}
+                      links={cashflow.links}
+                      total={cashflow.moneyIn}
+                    />
+                    {cashflow.shortfall > 0 ? (
+                      <p className="spend-risky">
+                        Money out ran {formatCurrency(cashflow.shortfall)} past money in. The gap came out of cash on hand
+                        {cashflow.shortfallSteps.length > 0 &&
+                          `, then ${cashflow.shortfallSteps
+                            .map((step) => `${step.label.toLowerCase()} (${formatCurrency(step.amount)})`)
+                            .join(" → ")}`}
+                        .
+                      </p>
+                    ) : (
+                      <p className="spend-safe">{formatCurrency(cashflow.surplus)} was left over and stayed in cash.</p>
+                    )}
+                  </>
+                ) : (
+                  <p className="muted">This month was saved before cashflow tracking. Pick a newer month.</p>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="panel">
+            <h2>Export your data</h2>
+            <p className="muted">
+              Download every month of this run for a spreadsheet or to hand in. CSV opens in any spreadsheet; JSON
+              keeps the same figures with each month's expense breakdown nested inside.
+            </p>
+            {simulationState.history.length === 0 ? (
+              <p className="muted">Run a month first; there is nothing to export yet.</p>
+            ) : (
+              <div className="debt-list">
+                {["history", "expenses"].map((dataset) => (
+                  <div key={dataset}>
+                    <p>{EXPORT_DATASETS[dataset].label}</p>
+                    <span>
+                      Months {exportHistory[0].month}–{exportHistory.at(-1).month}
+                    </span>
+                    <div className="choice-buttons">
+                      <button className="ghost" onClick={() => handleExportData(dataset, "csv")}>
+                        CSV
+                      </button>
+                      <button className="ghost" onClick={() => handleExportData(dataset, "json")}>
+                        JSON
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="panel">
+            <h2>Timelines</h2>
+            <p className="muted">
+              Fork from any month you have played to try a different path, then switch between timelines and compare where
+              each one leads.
+            </p>
+            <div className="debt-list">
+              {branchStates.map((branch) => (
+                <div key={branch.id} className={branch.id === timelines.active ? "achievement earned" : "achievement"}>
+                  <p>{branch.name}</p>
+                  <span>
+                    {branch.parent
+                      ? `Forked from ${branchById[branch.parent]?.name ?? "a deleted timeline"} at month ${branch.forkMonth}`
+                      : "The original run"}{" "}
+                    · next month {branch.state.month}
+                  </span>
+                  {branch.id === timelines.active ? (
+                    <span>You are playing this timeline</span>
+                  ) : (
+                    <div className="choice-buttons">
+                      <button className="ghost" onClick={() => handleSwitchBranch(branch.id)}>
+                        Switch to this timeline
+                      </button>
+                      <button className="ghost" onClick={() => handleDeleteBranch(branch.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
+            {forkMonths.length === 0 ? (
+              <p className="muted">Run a month to create a point you can fork from.</p>
+            ) : (
+              <>
+                <p className="muted">
+                  Forking replays your recorded choices from the nearest saved month, so the new timeline starts exactly
+                  where this one stood.
+                </p>
+                <label className="input-row">
+                  <span>Fork from the start of month</span>
+                  <select value={forkDraft.month} onChange={(event) => setForkDraft({ ...forkDraft, month: event.target.value })}>
+                    <option value="">Pick a month</option>
+                    {forkMonths.map((month) => (
+                      <option key={month} value={month}>
+                        Month {month}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="input-row">
+                  <span>Timeline name</span>
+                  <input
+                    placeholder="What if I paid the card off?"
+                    value={forkDraft.name}
+                    onChange={(event) => setForkDraft({ ...forkDraft, name: event.target.value })}
+                  />
+                </label>
+                <button
+                  className="ghost"
+                  onClick={handleFork}
+                  disabled={forkDraft.month === "" || timelines.branches.length >= MAX_BRANCHES}
+                >
+                  Fork and play the new timeline
+                </button>
+                {timelines.branches.length >= MAX_BRANCHES && (
+                  <p className="muted">You can keep up to {MAX_BRANCHES} timelines. Delete one to fork again.</p>
+                )}
+              </>
+            )}
+            {timelineComparison && (
+              <div className="chart-block">
+                <h3>Side by side</h3>
+                <p className="muted">
+                  Compared at month {timelineComparison.commonMonth}, the latest month every timeline has reached.
+                </p>
+                <ChoiceButtons
+                  label="Compare"
+                  value={timelineMetric}
+                  onChange={setTimelineMetric}
+                  options={Object.entries(BRANCH_METRICS).map(([key, metric]) => ({ value: key, label: metric.label }))}
+                />
+                <LineChart
+                  data={timelineSeries}
+                  yLabel={BRANCH_METRICS[timelineMetric].label}
+                  series={timelineComparison.rows.map((row) => ({ key: row.id, label: row.name }))}
+                  formatValue={BRANCH_METRICS[timelineMetric].money ? undefined : (value) => `${value}%`}
+                  formatTick={BRANCH_METRICS[timelineMetric].money ? undefined : (value) => `${value}%`}
+                />
+                <div className="projection-grid">
+                  {timelineComparison.rows.map((row) => (
+                    <div key={row.id}>
+                      <p>{row.name}</p>
+                      {Object.entries(BRANCH_METRICS).map(([key, metric]) => (
+                        <span key={key} className="muted">
+                          {metric.label}{" "}
+                          {row.atCommon ? (metric.money ? formatCurrency(row.atCommon[key]) : `${row.atCommon[key]}%`) : "–"}
+                        </span>
+                      ))}
+                      {row.latest && row.month !== timelineComparison.commonMonth && (
+                        <span className="muted">
+                          Month {row.month}: {formatCurrency(row.latest.netWorth)} net worth
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {branchStates
+                  .filter((branch) => branch.id !== timelines.active)
+                  .map((branch) => {
+                    const diff = divergedDecisions(simulationState, branch.state);
+                    return (
+                      <div key={branch.id}>
+                        <p>Where {branch.name} took a different path</p>
+                        {diff.length === 0 ? (
+                          <p className="muted">No allocation choices differ; any gap comes from event choices, goals or deposits.</p>
+                        ) : (
+                          <ul className="feedback">
+                            {diff.map((entry) => (
+                              <li key={entry.key}>
+                                {entry.label}: {decisionValueLabel(entry.key, entry.base)} here vs{" "}
+                                {decisionValueLabel(entry.key, entry.other)} there, from month {entry.fromMonth} (
+                                {entry.months} month{entry.months === 1 ? "" : "s"})
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            )}
           </div>
         </section>
       )}
@@ -1240,6 +2992,25 @@ export default function App() {
                 </ul>
               )}
             </div>
+            <p className="muted">
+              Full ledger: {marketExplorer.trades.length} trade{marketExplorer.trades.length === 1 ? "" : "s"} in this run.
+            </p>
+            <div className="choice-buttons">
+              <button
+                className="ghost"
+                onClick={() => handleExportData("trades", "csv")}
+                disabled={marketExplorer.trades.length === 0}
+              >
+                Export trades (CSV)
+              </button>
+              <button
+                className="ghost"
+                onClick={() => handleExportData("trades", "json")}
+                disabled={marketExplorer.trades.length === 0}
+              >
+                Export trades (JSON)
+              </button>
+            </div>
           </div>
 
           <div className="panel">
@@ -1285,7 +3056,15 @@ export default function App() {
                 <strong>{Math.round(marketProjection.risk * 100)}%</strong>
               </div>
             </label>
-            <LineChart points={marketPoints.map((point) => ({ netWorth: point.value }))} height={140} />
+            <AreaChart
+              data={marketPoints}
+              xKey="year"
+              xLabel="Year"
+              series={[
+                { key: "value", label: "Portfolio value" },
+                { key: "contributed", label: "Money you put in" }
+              ]}
+            />
           </div>
         </section>
       )}
@@ -1542,6 +3321,11 @@ export default function App() {
 
       {activeMode === "timeline" && (
         <section className="grid">
+          <div className="panel">
+            <h2>How far ahead</h2>
+            <p className="muted">Both paths below are simulated across many possible futures over this horizon.</p>
+            <ChoiceButtons label="Look ahead" value={futureHorizon} onChange={setFutureHorizon} options={horizonOptions} />
+          </div>
           <div className="panel">
             <h2>Salary / Stable Income Path</h2>
             <p className="muted">{salaryCase.description}</p>
@@ -1567,9 +3351,12 @@ export default function App() {
               </button>
             </div>
             <div className="chart-block">
-              <LineChart points={timelineNow} height={140} />
-              <LineChart points={salaryTimelineAlt} height={140} valueKey="netWorth" />
-              <p className="muted">Current vs alternate salary path over 60 months.</p>
+              <LineChart
+                data={comparePaths(timelineNow, salaryTimelineAlt, netWorthKey)}
+                yLabel={netWorthLabel}
+                series={pathSeries("This salary case")}
+              />
+              <p className="muted">Current vs alternate salary path over {futureHorizon} months.</p>
             </div>
           </div>
           <div className="panel">
@@ -1597,9 +3384,12 @@ export default function App() {
               </button>
             </div>
             <div className="chart-block">
-              <LineChart points={timelineNow} height={140} />
-              <LineChart points={marketTimelineAlt} height={140} valueKey="netWorth" />
-              <p className="muted">Current vs alternate market path over 60 months.</p>
+              <LineChart
+                data={comparePaths(timelineNow, marketTimelineAlt, netWorthKey)}
+                yLabel={netWorthLabel}
+                series={pathSeries("This market case")}
+              />
+              <p className="muted">Current vs alternate market path over {futureHorizon} months.</p>
             </div>
           </div>
         </section>
@@ -1690,7 +3480,7 @@ export default function App() {
             <div className="metrics">
               <div>
                 <p>Net worth trend</p>
-                <strong>{latestSnapshot ? formatCurrency(latestSnapshot.netWorth) : "Run a cycle"}</strong>
+                <strong>{latestSnapshot ? formatCurrency(latestSnapshot[netWorthKey]) : "Run a cycle"}</strong>
               </div>
               <div>
                 <p>Stress trend</p>
@@ -1703,6 +3493,14 @@ export default function App() {
             </div>
             <p className="muted">Try adjusting spending habits to see how stability shifts.</p>
           </div>
+          <div className="panel">
+            <h2>Year in review</h2>
+            {(simulationState.annualSummaries ?? []).length === 0 ? (
+              <p className="muted">Finish a simulated year to unlock your annual summary.</p>
+            ) : (
+              <AnnualSummaryList summaries={simulationState.annualSummaries} />
+            )}
+          </div>
           <div className="panel">
             <h2>Recent behavior</h2>
             {simulationState.history.length === 0 ? (
@@ -1711,7 +3509,14 @@ export default function App() {
               <ul className="feedback">
                 {simulationState.history.slice(-5).map((item) => (
                   <li key={item.month}>
-                    Month {item.month}: {item.event} · Net worth {formatCurrency(item.netWorth)}
+                    Month {item.month}: {item.event}
+                    {item.eventChoice ? ` (${item.eventChoice})` : ""} · {MARKET_REGIMES[item.regime]?.label ?? "Stable market"} · Net worth{" "}
+                    {formatCurrency(item.netWorth)}
+                    {(item.careerChanges ?? []).length > 0 && ` · ${item.careerChanges.join(", ")}`}
+                    {item.shortfall > 0 &&
+                      ` · ${formatCurrency(item.shortfall)} short, covered by ${item.shortfallSteps
+                        .map((step) => step.label.toLowerCase())
+                        .join(" → ")}`}
                   </li>
                 ))}
               </ul>
@@ -1726,3 +3531,25 @@ export default function App() {
     </div>
   );
 }
+
+const recoverActiveRun = (slots) => {
+  recoverRun(slotKeys(slots.active));
+  return slots;
+};
+
+export default function App() {
+  const [slots, setSlots, slotsSaveFailed] = usePersistentState(
+    SLOT_INDEX_KEY,
+    initialSlots(),
+    "slots",
+    recoverActiveRun
+  );
+
+  const changeSlots = (update) => {
+    const nextSlots = typeof update === "function" ? update(slots) : update;
+    if (nextSlots.active !== slots.active) recoverActiveRun(nextSlots);
+    setSlots(nextSlots);
+  };
+
+  return <SimulationApp key={slots.active} slots={slots} setSlots={changeSlots} slotsSaveFailed={slotsSaveFailed} />;
+}
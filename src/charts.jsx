@@ -0,0 +1,540 @@
+import React, { useState } from "react";
+import { formatCurrency, formatCurrencyTick } from "./format.js";
+
+export const CHART_COLORS = ["#46f0ff", "#7c8bff", "#ffb454", "#ff7b9c", "#7dffb3", "#d4a5ff", "#f5e663", "#8fd3ff"];
+
+const WIDTH = 560;
+const PADDING = { top: 14, right: 14, bottom: 34, left: 64 };
+const Y_TICKS = 4;
+const X_TICKS = 6;
+
+const niceStep = (range) => {
+  const raw = range / Y_TICKS;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const normalized = raw / magnitude;
+  return (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+};
+
+const buildScale = (values, includeZero) => {
+  const finite = values.filter(Number.isFinite);
+  let min = finite.length > 0 ? Math.min(...finite) : 0;
+  let max = finite.length > 0 ? Math.max(...finite) : 1;
+  if (includeZero) {
+    min = Math.min(min, 0);
+    max = Math.max(max, 0);
+  }
+  if (min === max) {
+    min -= Math.abs(min) * 0.1 || 1;
+    max += Math.abs(max) * 0.1 || 1;
+  }
+  const step = niceStep(max - min);
+  const start = Math.floor(min / step) * step;
+  const end = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let tick = start; tick <= end + step / 2; tick += step) ticks.push(Math.abs(tick) < step / 1e6 ? 0 : tick);
+  return { min: start, max: end, ticks };
+};
+
+const stackPoint = (point, series) => {
+  let up = 0;
+  let down = 0;
+  return series.map(({ key }) => {
+    const value = point[key] ?? 0;
+    const from = value >= 0 ? up : down;
+    if (value >= 0) up += value;
+    else down += value;
+    return { from, to: from + value };
+  });
+};
+
+const xTickIndexes = (count) => {
+  if (count <= X_TICKS) return [...Array(count).keys()];
+  const step = (count - 1) / (X_TICKS - 1);
+  return [...new Set([...Array(X_TICKS).keys()].map((tick) => Math.round(tick * step)))];
+};
+
+const pathFor = (points) => points.map(([x, y], index) => `${index === 0 ? "M" : "L"}${x},${y}`).join(" ");
+
+const hasValue = (value) => Number.isFinite(value);
+
+export function Chart({
+  type = "line",
+  data,
+  xKey = "month",
+  series,
+  title,
+  xLabel = "Month",
+  yLabel,
+  height = 180,
+  markers = [],
+  formatValue = formatCurrency,
+  formatTick = formatCurrencyTick,
+  formatX = (value) => `${xLabel} ${value}`,
+  formatXTick = (value) => String(value),
+  showLegend = series.length > 1 || series.some((line) => line.band)
+}) {
+  const [active, setActive] = useState(null);
+  if (data.length === 0) return null;
+  const focus = active === null ? null : Math.min(active, data.length - 1);
+
+  const colored = series.map((line, index) => ({ ...line, color: line.color ?? CHART_COLORS[index % CHART_COLORS.length] }));
+  const stacked = type === "stacked";
+  const barLike = type === "bar" || stacked;
+  const stacks = stacked ? data.map((point) => stackPoint(point, colored)) : null;
+  const values = stacked
+    ? stacks.flatMap((stack) => stack.flatMap(({ from, to }) => [from, to]))
+    : data.flatMap((point) =>
+        colored.flatMap((line) => [point[line.key], ...(line.band ? line.band.map((key) => point[key]) : [])])
+      );
+  const show = (value) => (hasValue(value) ? formatValue(value) : "–");
+  const plotted = (key) => data.map((point, index) => [index, point[key]]).filter(([, value]) => hasValue(value));
+  const scale = buildScale(values, barLike || type === "area");
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / data.length;
+  const toX = (index) =>
+    barLike || data.length === 1
+      ? PADDING.left + slot * (index + 0.5)
+      : PADDING.left + (index * plotWidth) / (data.length - 1);
+  const toY = (value) => PADDING.top + ((scale.max - (value ?? 0)) / (scale.max - scale.min)) * plotHeight;
+  const baseline = toY(Math.min(Math.max(0, scale.min), scale.max));
+
+  const linePath = (key) => pathFor(plotted(key).map(([index, value]) => [toX(index), toY(value)]));
+  const areaPath = (key) => {
+    const points = plotted(key);
+    if (points.length === 0) return "";
+    return `${linePath(key)} L${toX(points.at(-1)[0])},${baseline} L${toX(points[0][0])},${baseline} Z`;
+  };
+  const bandPath = ([low, high]) => {
+    const lower = plotted(low)
+      .map(([index, value]) => `L${toX(index)},${toY(value)}`)
+      .reverse();
+    return `${linePath(high)} ${lower.join(" ")} Z`;
+  };
+
+  const markersAt = (index) => markers.filter((marker) => marker.x === data[index][xKey]);
+  const markerIndexes = data
+    .map((point, index) => (markers.some((marker) => marker.x === point[xKey]) ? index : null))
+    .filter((index) => index !== null);
+
+  const moveTo = (index) => setActive(Math.max(0, Math.min(data.length - 1, index)));
+  const handlePointer = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const x = ((event.clientX - bounds.left) / bounds.width) * WIDTH;
+    const index = barLike
+      ? Math.floor((x - PADDING.left) / slot)
+      : Math.round(((x - PADDING.left) / plotWidth) * (data.length - 1));
+    moveTo(index);
+  };
+  const handleKey = (event) => {
+    const moves = {
+      ArrowRight: (focus ?? -1) + 1,
+      ArrowLeft: (focus ?? data.length) - 1,
+      Home: 0,
+      End: data.length - 1,
+      PageUp: (focus ?? 0) - 12,
+      PageDown: (focus ?? 0) + 12
+    };
+    if (!(event.key in moves)) return;
+    event.preventDefault();
+    moveTo(moves[event.key]);
+  };
+
+  const bars = barLike
+    ? data.flatMap((point, index) =>
+        colored.map((line, lineIndex) => {
+          if (stacked) {
+            const { from, to } = stacks[index][lineIndex];
+            const top = Math.min(toY(from), toY(to));
+            return {
+              key: `${index}-${line.key}`,
+              x: toX(index) - slot * 0.35,
+              width: slot * 0.7,
+              y: top,
+              height: Math.abs(toY(to) - toY(from)),
+              color: line.color
+            };
+          }
+          const barWidth = (slot * 0.8) / colored.length;
+          const value = point[line.key] ?? 0;
+          return {
+            key: `${index}-${line.key}`,
+            x: toX(index) - slot * 0.4 + barWidth * lineIndex,
+            width: barWidth,
+            y: Math.min(toY(value), baseline),
+            height: Math.abs(toY(value) - baseline),
+            color: line.color
+          };
+        })
+      )
+    : [];
+
+  const activePoint = focus !== null ? data[focus] : null;
+  const activeMarkers = focus !== null ? markersAt(focus) : [];
+  const summary = activePoint
+    ? [
+        formatX(activePoint[xKey]),
+        ...colored.map((line) => `${line.label} ${show(activePoint[line.key])}`),
+        ...activeMarkers.map((marker) => marker.label)
+      ].join(", ")
+    : "";
+
+  return (
+    <figure className="chart-figure">
+      {title && <figcaption className="chart-title">{title}</figcaption>}
+      <div
+        className="chart-frame"
+        tabIndex={0}
+        role="group"
+        aria-label={`${title ?? yLabel ?? "Chart"}. Use the arrow keys to step through each ${xLabel.toLowerCase()}.`}
+        onKeyDown={handleKey}
+        onBlur={() => setActive(null)}
+      >
+        <svg
+          className="chart"
+          viewBox={`0 0 ${WIDTH} ${height}`}
+          aria-hidden="true"
+          onMouseMove={handlePointer}
+          onMouseLeave={() => setActive(null)}
+        >
+          {scale.ticks.map((tick) => (
+            <g key={tick}>
+              <line
+                className={tick === 0 ? "chart-zero" : "chart-grid"}
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={toY(tick)}
+                y2={toY(tick)}
+              />
+              <text className="chart-tick" x={PADDING.left - 8} y={toY(tick)} textAnchor="end" dominantBaseline="middle">
+                {formatTick(tick)}
+              </text>
+            </g>
+          ))}
+          {xTickIndexes(data.length).map((index) => (
+            <text key={index} className="chart-tick" x={toX(index)} y={height - PADDING.bottom + 16} textAnchor="middle">
+              {formatXTick(data[index][xKey])}
+            </text>
+          ))}
+          <text className="chart-axis-label" x={PADDING.left + plotWidth / 2} y={height - 4} textAnchor="middle">
+            {xLabel}
+          </text>
+          {yLabel && (
+            <text
+              className="chart-axis-label"
+              transform={`translate(12 ${PADDING.top + plotHeight / 2}) rotate(-90)`}
+              textAnchor="middle"
+            >
+              {yLabel}
+            </text>
+          )}
+          {!barLike &&
+            colored
+              .filter((line) => line.band)
+              .map((line) => (
+                <path
+                  key={`${line.key}-band`}
+                  className="chart-band"
+                  style={{ fill: line.color }}
+                  d={bandPath(line.band)}
+                />
+              ))}
+          {type === "area" &&
+            colored.map((line) => (
+              <path
+                key={`${line.key}-area`}
+                className="chart-area"
+                style={{ fill: line.color }}
+                d={areaPath(line.key)}
+              />
+            ))}
+          {!barLike &&
+            colored.map((line) => (
+              <path
+                key={line.key}
+                d={linePath(line.key)}
+                fill="none"
+                stroke={line.color}
+                strokeWidth="2.5"
+                strokeDasharray={line.dashed ? "6 4" : undefined}
+              />
+            ))}
+          {bars.map((bar) => (
+            <rect key={bar.key} x={bar.x} y={bar.y} width={bar.width} height={Math.max(bar.height, 0.5)} fill={bar.color} />
+          ))}
+          {markerIndexes.map((index) => (
+            <g key={`marker-${index}`} className="chart-marker">
+              <line x1={toX(index)} x2={toX(index)} y1={PADDING.top} y2={height - PADDING.bottom} />
+              <circle cx={toX(index)} cy={PADDING.top} r="4" />
+            </g>
+          ))}
+          {focus !== null && (
+            <g className="chart-cursor">
+              <line x1={toX(focus)} x2={toX(focus)} y1={PADDING.top} y2={height - PADDING.bottom} />
+              {!barLike &&
+                colored
+                  .filter((line) => hasValue(activePoint[line.key]))
+                  .map((line) => (
+                    <circle key={line.key} cx={toX(focus)} cy={toY(activePoint[line.key])} r="4" fill={line.color} />
+                  ))}
+            </g>
+          )}
+        </svg>
+        {activePoint && (
+          <div
+            className={`chart-tooltip${toX(focus) > WIDTH / 2 ? " chart-tooltip-left" : ""}`}
+            style={{ left: `${(toX(focus) / WIDTH) * 100}%` }}
+          >
+            <strong>{formatX(activePoint[xKey])}</strong>
+            {colored.map((line) => (
+              <span key={line.key}>
+                <i className="chart-swatch" style={{ background: line.color }} />
+                {line.label}: {show(activePoint[line.key])}
+                {line.band &&
+                  ` (${show(activePoint[line.band[0]])} – ${show(activePoint[line.band[1]])})`}
+              </span>
+            ))}
+            {activeMarkers.map((marker) => (
+              <span key={marker.label} className="chart-tooltip-marker">
+                {marker.label}
+              </span>
+            ))}
+          </div>
+        )}
+        <p className="sr-only" aria-live="polite">
+          {summary}
+        </p>
+      </div>
+      {showLegend && (
+        <ul className="chart-legend">
+          {colored.map((line) => (
+            <li key={line.key}>
+              <i className="chart-swatch" style={{ background: line.color }} />
+              {line.label}
+              {line.band && <span className="muted"> · shaded: {line.bandLabel ?? "likely range"}</span>}
+            </li>
+          ))}
+          {markers.length > 0 && (
+            <li>
+              <i className="chart-swatch chart-swatch-marker" />
+              Events
+            </li>
+          )}
+        </ul>
+      )}
+      <details className="chart-table">
+        <summary>Show data table</summary>
+        <div className="chart-table-scroll">
+          <table>
+            <caption className="sr-only">{title ?? yLabel ?? "Chart data"}</caption>
+            <thead>
+              <tr>
+                <th scope="col">{xLabel}</th>
+                {colored.map((line) => (
+                  <th key={line.key} scope="col">
+                    {line.label}
+                  </th>
+                ))}
+                {markers.length > 0 && <th scope="col">Events</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {data.map((point, index) => (
+                <tr key={point[xKey]}>
+                  <th scope="row">{formatXTick(point[xKey])}</th>
+                  {colored.map((line) => (
+                    <td key={line.key}>
+                      {show(point[line.key])}
+                      {line.band && (
+                        <span className="muted">
+                          {" "}
+                          ({show(point[line.band[0]])} – {show(point[line.band[1]])})
+                        </span>
+                      )}
+                    </td>
+                  ))}
+                  {markers.length > 0 && (
+                    <td>
+                      {markersAt(index)
+                        .map((marker) => marker.label)
+                        .join(", ")}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    </figure>
+  );
+}
+
+const SANKEY_WIDTH = 640;
+const SANKEY_NODE_WIDTH = 12;
+const SANKEY_GAP = 10;
+const SANKEY_LABEL_SPACE = 170;
+
+const layoutSankey = (nodes, links, height) => {
+  const inflow = (id) => links.filter((link) => link.target === id).reduce((sum, link) => sum + link.value, 0);
+  const outflow = (id) => links.filter((link) => link.source === id).reduce((sum, link) => sum + link.value, 0);
+  const columns = Math.max(...nodes.map((node) => node.column)) + 1;
+  const sized = nodes.map((node) => ({ ...node, value: Math.max(inflow(node.id), outflow(node.id)) }));
+  const byColumn = [...Array(columns).keys()].map((column) => sized.filter((node) => node.column === column));
+  const scale = Math.min(
+    ...byColumn
+      .filter((column) => column.length > 0)
+      .map((column) => {
+        const total = column.reduce((sum, node) => sum + node.value, 0);
+        return total > 0 ? (height - PADDING.top * 2 - (column.length - 1) * SANKEY_GAP) / total : Infinity;
+      })
+  );
+  const step = (SANKEY_WIDTH - SANKEY_NODE_WIDTH - SANKEY_LABEL_SPACE) / Math.max(columns - 1, 1);
+  const placed = {};
+  byColumn.forEach((column) => {
+    const used = column.reduce((sum, node) => sum + node.value * scale, 0) + (column.length - 1) * SANKEY_GAP;
+    let y = (height - used) / 2;
+    column.forEach((node) => {
+      const size = node.value * scale;
+      placed[node.id] = { ...node, x: node.column * step, y, height: size, outOffset: 0, inOffset: 0 };
+      y += size + SANKEY_GAP;
+    });
+  });
+  const bands = links.map((link) => {
+    const from = placed[link.source];
+    const to = placed[link.target];
+    const size = link.value * scale;
+    const y0 = from.y + from.outOffset;
+    const y1 = to.y + to.inOffset;
+    from.outOffset += size;
+    to.inOffset += size;
+    const x0 = from.x + SANKEY_NODE_WIDTH;
+    const x1 = to.x;
+    const mid = (x0 + x1) / 2;
+    return {
+      ...link,
+      color: to.color ?? from.color,
+      path: `M${x0},${y0} C${mid},${y0} ${mid},${y1} ${x1},${y1} L${x1},${y1 + size} C${mid},${y1 + size} ${mid},${
+        y0 + size
+      } ${x0},${y0 + size} Z`
+    };
+  });
+  return { nodes: Object.values(placed), bands };
+};
+
+export function SankeyChart({ nodes, links, title, total, formatValue = formatCurrency, formatTick = formatCurrencyTick }) {
+  const [active, setActive] = useState(null);
+  if (links.length === 0) return null;
+  const perColumn = nodes.reduce((counts, node) => ({ ...counts, [node.column]: (counts[node.column] ?? 0) + 1 }), {});
+  const height = Math.max(260, Math.max(...Object.values(perColumn)) * 28);
+  const layout = layoutSankey(nodes, links, height);
+  const labelOf = Object.fromEntries(nodes.map((node) => [node.id, node.label]));
+  const focus = active === null ? null : Math.min(active, links.length - 1);
+  const focused = focus !== null ? layout.bands[focus] : null;
+  const describe = (link) =>
+    `${labelOf[link.source]} → ${labelOf[link.target]}: ${formatValue(link.value)}${
+      total ? ` (${Math.round((link.value / total) * 100)}%)` : ""
+    }`;
+  const handleKey = (event) => {
+    const moves = {
+      ArrowRight: (focus ?? -1) + 1,
+      ArrowDown: (focus ?? -1) + 1,
+      ArrowLeft: (focus ?? links.length) - 1,
+      ArrowUp: (focus ?? links.length) - 1,
+      Home: 0,
+      End: links.length - 1
+    };
+    if (!(event.key in moves)) return;
+    event.preventDefault();
+    setActive(Math.max(0, Math.min(links.length - 1, moves[event.key])));
+  };
+
+  return (
+    <figure className="chart-figure">
+      {title && <figcaption className="chart-title">{title}</figcaption>}
+      <div
+        className="chart-frame"
+        tabIndex={0}
+        role="group"
+        aria-label={`${title ?? "Cashflow"}. Use the arrow keys to step through each flow.`}
+        onKeyDown={handleKey}
+        onBlur={() => setActive(null)}
+      >
+        <svg
+          className="chart"
+          viewBox={`0 0 ${SANKEY_WIDTH} ${height}`}
+          aria-hidden="true"
+          onMouseLeave={() => setActive(null)}
+        >
+          {layout.bands.map((band, index) => (
+            <path
+              key={`${band.source}-${band.target}`}
+              d={band.path}
+              className={`sankey-link${focus === index ? " sankey-link-active" : ""}`}
+              style={{ fill: band.color }}
+              onMouseEnter={() => setActive(index)}
+            />
+          ))}
+          {layout.nodes.map((node) => (
+            <g key={node.id}>
+              <rect
+                x={node.x}
+                y={node.y}
+                width={SANKEY_NODE_WIDTH}
+                height={Math.max(node.height, 1)}
+                rx="3"
+                fill={node.color ?? CHART_COLORS[0]}
+              />
+              <text
+                className="sankey-label"
+                x={node.x + SANKEY_NODE_WIDTH + 6}
+                y={node.y + node.height / 2}
+                dominantBaseline="middle"
+              >
+                {node.label} {formatTick(node.value)}
+              </text>
+            </g>
+          ))}
+        </svg>
+        {focused && (
+          <div className="chart-tooltip sankey-tooltip">
+            <span>{describe(focused)}</span>
+          </div>
+        )}
+        <p className="sr-only" aria-live="polite">
+          {focused ? describe(focused) : ""}
+        </p>
+      </div>
+      <details className="chart-table">
+        <summary>Show data table</summary>
+        <div className="chart-table-scroll">
+          <table>
+            <caption className="sr-only">{title ?? "Cashflow"}</caption>
+            <thead>
+              <tr>
+                <th scope="col">From</th>
+                <th scope="col">To</th>
+                <th scope="col">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {links.map((link) => (
+                <tr key={`${link.source}-${link.target}`}>
+                  <th scope="row">{labelOf[link.source]}</th>
+                  <td>{labelOf[link.target]}</td>
+                  <td>{formatValue(link.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    </figure>
+  );
+}
+
+export const LineChart = (props) => <Chart {...props} type="line" />;
+export const AreaChart = (props) => <Chart {...props} type="area" />;
+export const BarChart = (props) => <Chart {...props} type="bar" />;
+export const StackedBarChart = (props) => <Chart {...props} type="stacked" />;
@@ -0,0 +1,59 @@
+import { historyLogFields } from "./sim/engine.js";
+
+export const EXPORT_DATASETS = {
+  history: { label: "Monthly history" },
+  expenses: { label: "Expense breakdown" },
+  trades: { label: "Market Explorer trades" }
+};
+
+const HISTORY_COLUMNS = historyLogFields;
+
+const TRADE_COLUMNS = ["day", "market", "item", "side", "quantity", "price", "total", "cashAfter"];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns) =>
+  [columns.join(","), ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(","))].join("\n");
+
+export const historyRows = (history) =>
+  history.map((snapshot) => Object.fromEntries(HISTORY_COLUMNS.map((column) => [column, snapshot[column]])));
+
+export const expenseRows = (history) =>
+  history
+    .filter((snapshot) => snapshot.expenseBreakdown)
+    .map((snapshot) => ({ month: snapshot.month, total: snapshot.expenses, ...snapshot.expenseBreakdown }));
+
+const expenseColumns = (rows) => [
+  "month",
+  "total",
+  ...Object.keys(rows[0] ?? {}).filter((key) => key !== "month" && key !== "total")
+];
+
+export function buildExport(dataset, format, { history = [], trades = [] }) {
+  if (format === "json") {
+    const rows = dataset === "history" ? history : dataset === "expenses" ? expenseRows(history) : trades;
+    return {
+      content: JSON.stringify({ dataset, exportedAt: new Date().toISOString(), rows }, null, 2),
+      type: "application/json"
+    };
+  }
+  if (dataset === "history") return { content: toCsv(historyRows(history), HISTORY_COLUMNS), type: "text/csv" };
+  if (dataset === "expenses") {
+    const rows = expenseRows(history);
+    return { content: toCsv(rows, expenseColumns(rows)), type: "text/csv" };
+  }
+  return { content: toCsv(trades, TRADE_COLUMNS), type: "text/csv" };
+}
+
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,12 @@
+const currencyFormat = new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+const compactCurrencyFormat = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+  notation: "compact",
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 1
+});
+
+export const formatCurrency = (value) => currencyFormat.format(value ?? 0);
+
+export const formatCurrencyTick = (value) => compactCurrencyFormat.format(value ?? 0);
@@ -0,0 +1,159 @@
+import { defaultDecision, defaultFixedCosts, defaultState } from "./sim/engine.js";
+import { LOCATION_COST } from "./sim/career.js";
+
+export const SCHEMA_VERSION = 2;
+
+const LEGACY_VERSION = 1;
+const QUARANTINE_PREFIX = "nexawealth-quarantine";
+
+const KIND_LABELS = {
+  life: "life stage",
+  expenses: "spending plan",
+  decision: "money allocation",
+  sim: "simulation",
+  timelines: "timelines",
+  market: "Market Explorer session",
+  slots: "list of save slots",
+  scenarios: "scenario library"
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const VALIDATORS = {
+  life: (value) =>
+    isObject(value) &&
+    typeof value.label === "string" &&
+    Boolean(LOCATION_COST[value.location]) &&
+    isNumber(value.income) &&
+    isNumber(value.age) &&
+    Array.isArray(value.debts) &&
+    isObject(value.fixedCosts),
+  expenses: (value) => isObject(value) && isObject(value.quantities) && isObject(value.priceTiers),
+  decision: (value) =>
+    isObject(value) && isNumber(value.debtPayment) && isNumber(value.investment) && isNumber(value.emergencyCash),
+  sim: (value) =>
+    isObject(value) &&
+    isNumber(value.month) &&
+    isNumber(value.cashOnHand) &&
+    isNumber(value.savings) &&
+    isNumber(value.investments) &&
+    Array.isArray(value.debts) &&
+    Array.isArray(value.history),
+  timelines: (value) =>
+    isObject(value) && typeof value.active === "string" && Array.isArray(value.branches) && isObject(value.parked),
+  market: (value) =>
+    isObject(value) && isNumber(value.day) && isNumber(value.cash) && isObject(value.prices) && Array.isArray(value.trades),
+  slots: (value) =>
+    isObject(value) &&
+    typeof value.active === "string" &&
+    Array.isArray(value.slots) &&
+    value.slots.some((slot) => slot.id === value.active),
+  scenarios: (value) => Array.isArray(value)
+};
+
+const MIGRATIONS = [
+  {
+    to: 2,
+    life: (value) => ({ ...value, fixedCosts: value.fixedCosts ?? defaultFixedCosts(value) }),
+    expenses: (value) => ({ quantities: {}, priceTiers: {}, ...value }),
+    decision: (value) => ({ ...defaultDecision, ...value }),
+    sim: (value) => ({ ...defaultState, ...value }),
+    timelines: (value) => ({
+      ...value,
+      parked: Object.fromEntries(
+        Object.entries(value.parked ?? {}).map(([id, branch]) => [
+          id,
+          { ...branch, state: { ...defaultState, ...branch.state }, decision: { ...defaultDecision, ...branch.decision } }
+        ])
+      )
+    })
+  }
+];
+
+const labelFor = (kind) => KIND_LABELS[kind] ?? kind;
+
+export function upgrade(kind, value, fromVersion) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`it was saved by a newer version of the app (schema ${fromVersion})`);
+  }
+  let upgraded = value;
+  try {
+    upgraded = MIGRATIONS.filter((migration) => migration.to > fromVersion).reduce(
+      (current, migration) => (migration[kind] ? migration[kind](current) : current),
+      value
+    );
+  } catch {
+    throw new Error(`the saved ${labelFor(kind)} could not be upgraded`);
+  }
+  if (VALIDATORS[kind] && !VALIDATORS[kind](upgraded)) {
+    throw new Error(`the saved ${labelFor(kind)} is missing required fields`);
+  }
+  return upgraded;
+}
+
+const notices = [];
+
+export const recoveryNotices = () => [...notices];
+
+export const dismissRecoveryNotices = () => notices.splice(0, notices.length);
+
+const quarantine = (label, entries, reason) => {
+  let quarantineKey = `${QUARANTINE_PREFIX}-${Date.now()}-${notices.length + 1}`;
+  try {
+    window.localStorage.setItem(
+      quarantineKey,
+      JSON.stringify({ reason, at: new Date().toISOString(), entries: Object.fromEntries(entries) })
+    );
+  } catch {
+    quarantineKey = null;
+  }
+  entries.forEach(([key]) => window.localStorage.removeItem(key));
+  notices.push({ label, reason, quarantineKey });
+};
+
+const decode = (kind, raw) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error("the stored data is not valid JSON");
+  }
+  const versioned = isObject(parsed) && Number.isInteger(parsed.schema) && "value" in parsed;
+  return versioned ? upgrade(kind, parsed.value, parsed.schema) : upgrade(kind, parsed, LEGACY_VERSION);
+};
+
+export function readPersisted(key, kind) {
+  const raw = window.localStorage.getItem(key);
+  if (raw === null) return undefined;
+  try {
+    return decode(kind, raw);
+  } catch (error) {
+    quarantine(`Your ${labelFor(kind)}`, [[key, raw]], error.message);
+    return undefined;
+  }
+}
+
+export function writePersisted(key, value) {
+  window.localStorage.setItem(key, JSON.stringify({ schema: SCHEMA_VERSION, value }));
+}
+
+export function recoverRun(keys) {
+  const stored = Object.entries(keys)
+    .map(([kind, key]) => [kind, key, window.localStorage.getItem(key)])
+    .filter(([, , raw]) => raw !== null);
+  const failure = stored
+    .map(([kind, , raw]) => {
+      try {
+        decode(kind, raw);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    })
+    .find(Boolean);
+  if (failure) {
+    quarantine("The saved run in this slot", stored.map(([, key, raw]) => [key, raw]), failure);
+  }
+}
@@ -0,0 +1,133 @@
+import { RISK_ALLOCATIONS } from "./portfolio.js";
+
+export const UNLOCKS = {
+  tax_optimization: {
+    label: "Tax optimization",
+    detail: "Itemise insurance and retirement contributions against your income tax.",
+    deductionMode: "itemised"
+  },
+  real_estate: {
+    label: "Real estate",
+    detail: "Hold property in your custom allocation.",
+    assetClass: "real_estate"
+  },
+  startups: {
+    label: "Startups and business financing",
+    detail: "Back early-stage businesses in your custom allocation.",
+    assetClass: "startups"
+  }
+};
+
+export const ACHIEVEMENTS = [
+  {
+    key: "safety_net",
+    label: "Safety net",
+    detail: "Six months of expenses held in cash, savings and goal funds.",
+    criteria: { metric: "runwayMonths", atLeast: 6 }
+  },
+  {
+    key: "first_10k",
+    label: "First 10k",
+    detail: "Net worth reached 10,000.",
+    criteria: { metric: "netWorth", atLeast: 10000 },
+    unlocks: ["tax_optimization"]
+  },
+  {
+    key: "prime_borrower",
+    label: "Prime borrower",
+    detail: "Credit score held above 750 for three months.",
+    criteria: { metric: "creditScore", atLeast: 750, forMonths: 3 },
+    unlocks: ["real_estate"]
+  },
+  {
+    key: "debt_free",
+    label: "Debt-free life",
+    detail: "Cleared every debt you carried.",
+    criteria: { metric: "debtBalance", atMost: 0, after: { metric: "debtBalance", atLeast: 1 } },
+    unlocks: ["startups"]
+  },
+  {
+    key: "net_worth_50k",
+    label: "50k club",
+    detail: "Net worth reached 50,000.",
+    criteria: { metric: "netWorth", atLeast: 50000 },
+    unlocks: ["startups"]
+  },
+  {
+    key: "net_worth_100k",
+    label: "Six figures",
+    detail: "Net worth reached 100,000.",
+    criteria: { metric: "netWorth", atLeast: 100000 }
+  },
+  {
+    key: "financial_independence",
+    label: "Financial independence",
+    detail: "A 4% yearly draw on your investments covers a month of spending.",
+    criteria: { metric: "passiveCoverage", atLeast: 1 }
+  }
+];
+
+const SAFE_WITHDRAWAL_RATE = 0.04;
+
+const METRICS = {
+  runwayMonths: (snapshot) =>
+    (snapshot.cashOnHand + snapshot.savings + (snapshot.goalSavings ?? 0)) / Math.max(snapshot.expenses, 1),
+  netWorth: (snapshot) => snapshot.netWorth,
+  creditScore: (snapshot) => snapshot.creditScore,
+  debtBalance: (snapshot) => snapshot.debtBalance,
+  passiveCoverage: (snapshot) => (snapshot.investments * SAFE_WITHDRAWAL_RATE) / 12 / Math.max(snapshot.expenses, 1)
+};
+
+const meets = (criteria, snapshot) => {
+  const value = METRICS[criteria.metric](snapshot);
+  return (criteria.atLeast === undefined || value >= criteria.atLeast) && (criteria.atMost === undefined || value <= criteria.atMost);
+};
+
+export function criteriaMet(criteria, history) {
+  const forMonths = criteria.forMonths ?? 1;
+  const recent = history.slice(-forMonths);
+  if (recent.length < forMonths || !recent.every((snapshot) => meets(criteria, snapshot))) return false;
+  return !criteria.after || history.slice(0, -forMonths).some((snapshot) => meets(criteria.after, snapshot));
+}
+
+export function evaluateAchievements(history, earned = [], month) {
+  const earnedKeys = new Set(earned.map((entry) => entry.key));
+  const newlyEarned = ACHIEVEMENTS.filter(
+    (achievement) => !earnedKeys.has(achievement.key) && criteriaMet(achievement.criteria, history)
+  ).map((achievement) => ({ key: achievement.key, label: achievement.label, month }));
+  return { earned: newlyEarned.length > 0 ? [...earned, ...newlyEarned] : earned, newlyEarned };
+}
+
+export const unlockedFeatures = (earned = []) => {
+  const earnedKeys = new Set(earned.map((entry) => entry.key));
+  return ACHIEVEMENTS.filter((achievement) => earnedKeys.has(achievement.key)).flatMap((achievement) => achievement.unlocks ?? []);
+};
+
+export const unlockSources = (unlockKey) => ACHIEVEMENTS.filter((achievement) => achievement.unlocks?.includes(unlockKey));
+
+const openAllocation = (allocation, lockedClasses) => {
+  const open = Object.fromEntries(
+    Object.entries(allocation).map(([key, weight]) => [key, lockedClasses.includes(key) ? 0 : weight])
+  );
+  const total = Object.values(open).reduce((sum, weight) => sum + weight, 0);
+  return total > 0
+    ? Object.fromEntries(Object.entries(open).map(([key, weight]) => [key, weight / total]))
+    : RISK_ALLOCATIONS.conservative;
+};
+
+export function gateDecision(decision, unlocked, resolvedAllocation = decision.allocation) {
+  const locked = Object.entries(UNLOCKS)
+    .filter(([key]) => !unlocked.includes(key))
+    .map(([, unlock]) => unlock);
+  const lockedClasses = locked.map((unlock) => unlock.assetClass).filter(Boolean);
+  const allocation =
+    resolvedAllocation && lockedClasses.some((key) => resolvedAllocation[key] > 0)
+      ? openAllocation(resolvedAllocation, lockedClasses)
+      : decision.allocation;
+  const deductionMode = locked.some((unlock) => unlock.deductionMode === decision.deductionMode)
+    ? "standard"
+    : decision.deductionMode;
+  return allocation === decision.allocation && deductionMode === decision.deductionMode
+    ? decision
+    : { ...decision, allocation, deductionMode };
+}
@@ -0,0 +1,161 @@
+export const LIFE_STAGES = {
+  school: { label: "School student", incomeRange: [200, 600], ageRange: [14, 17], stability: "low" },
+  college: { label: "College student", incomeRange: [600, 1800], ageRange: [18, 22], stability: "low" },
+  first_job: {
+    label: "First job professional",
+    incomeRange: [2800, 5200],
+    ageRange: [22, 30],
+    stability: "medium",
+    working: true,
+    ladder: true
+  },
+  freelancer: { label: "Freelancer", incomeRange: [2000, 5200], ageRange: [20, 45], stability: "low", working: true },
+  family: {
+    label: "Family with dependents",
+    incomeRange: [5200, 9000],
+    ageRange: [28, 50],
+    stability: "medium",
+    working: true,
+    ladder: true
+  },
+  entrepreneur: { label: "Entrepreneur", incomeRange: [3500, 8200], ageRange: [25, 55], stability: "medium", working: true },
+  retired: { label: "Retired individual", incomeRange: [1800, 4200], ageRange: [60, 75], stability: "high", retired: true }
+};
+
+export const LOCATION_COST = {
+  low: { label: "Low-cost city", multiplier: 0.85 },
+  mid: { label: "Mid-cost city", multiplier: 1 },
+  high: { label: "High-cost city", multiplier: 1.25 }
+};
+
+const STAGE_TRANSITIONS = {
+  school: [{ to: "college", minAge: 18, chance: 0.85 }],
+  college: [
+    { to: "first_job", minAge: 21, chance: 0.6 },
+    { to: "freelancer", minAge: 21, chance: 0.15 }
+  ],
+  first_job: [
+    { to: "family", minAge: 26, maxAge: 45, chance: 0.15 },
+    { to: "entrepreneur", minAge: 25, maxAge: 55, chance: 0.04 }
+  ],
+  freelancer: [
+    { to: "first_job", minAge: 20, maxAge: 50, chance: 0.2 },
+    { to: "family", minAge: 26, maxAge: 45, chance: 0.1 },
+    { to: "entrepreneur", minAge: 24, maxAge: 55, chance: 0.05 }
+  ],
+  family: [],
+  entrepreneur: [{ to: "family", minAge: 26, maxAge: 45, chance: 0.1 }],
+  retired: []
+};
+
+const CAREER_TITLES = ["Junior", "Associate", "Senior", "Lead", "Director"];
+
+const PROMOTION_CHANCE = { low: 0.12, medium: 0.22 };
+const PROMOTION_RAISE = [0.08, 0.18];
+const JOB_CHANGE_CHANCE = 0.08;
+const JOB_CHANGE_RAISE = [-0.05, 0.2];
+const HIGH_STRESS = 70;
+const HIGH_STRESS_PENALTY = 0.6;
+const RETIREMENT_AGE = 58;
+const RETIREMENT_CHANCE = 0.2;
+const MANDATORY_RETIREMENT_AGE = 67;
+const PENSION_SHARE = 0.55;
+const HOUSING_SHARE = 0.28;
+const BASE_UTILITIES = 120;
+
+export const stageKeyFor = (lifeStage) =>
+  lifeStage.stage ?? Object.keys(LIFE_STAGES).find((key) => LIFE_STAGES[key].label === lifeStage.label) ?? "first_job";
+
+export const fixedCostsFor = (income, locationMultiplier) => ({
+  housing: Math.round(locationMultiplier * (income * HOUSING_SHARE)),
+  utilities: Math.round(locationMultiplier * BASE_UTILITIES)
+});
+
+export const careerTitle = (career) =>
+  LIFE_STAGES[career.stage].ladder ? `${CAREER_TITLES[career.level]} · ${career.label}` : career.label;
+
+export function startCareer(lifeStage) {
+  const stage = stageKeyFor(lifeStage);
+  return {
+    stage,
+    label: LIFE_STAGES[stage].label,
+    stability: LIFE_STAGES[stage].stability,
+    age: lifeStage.age,
+    dependents: lifeStage.dependents,
+    income: lifeStage.income,
+    fixedCosts: lifeStage.fixedCosts,
+    level: 0,
+    yearsInRole: 0
+  };
+}
+
+const enterStage = (rng, career, stage, locationMultiplier) => {
+  const next = LIFE_STAGES[stage];
+  const [low, high] = next.incomeRange.map((bound) => bound * locationMultiplier);
+  const income = Math.round(next.retired ? Math.min(Math.max(career.income * PENSION_SHARE, low), high) : rng.between(low, high));
+  const dependents = stage === "family" ? Math.max(career.dependents, 2 + Math.floor(rng.next() * 2)) : career.dependents;
+  return {
+    ...career,
+    stage,
+    label: next.label,
+    stability: next.stability,
+    dependents,
+    income,
+    fixedCosts: fixedCostsFor(income, locationMultiplier),
+    level: next.ladder && LIFE_STAGES[career.stage].ladder ? career.level : 0,
+    yearsInRole: 0
+  };
+};
+
+const shouldRetire = (rng, career) =>
+  LIFE_STAGES[career.stage].working &&
+  (career.age >= MANDATORY_RETIREMENT_AGE || (career.age >= RETIREMENT_AGE && rng.chance(RETIREMENT_CHANCE)));
+
+const pickTransition = (rng, career) =>
+  STAGE_TRANSITIONS[career.stage].find(
+    (transition) =>
+      career.age >= transition.minAge && career.age <= (transition.maxAge ?? Infinity) && rng.chance(transition.chance)
+  );
+
+const adjustIncome = (career, change) => ({ ...career, income: Math.round(career.income * (1 + change)) });
+
+export function advanceCareer(rng, career, { stressLevel, locationMultiplier }) {
+  let next = { ...career, age: career.age + 1, yearsInRole: career.yearsInRole + 1 };
+  const changes = [];
+
+  if (shouldRetire(rng, next)) {
+    next = enterStage(rng, next, "retired", locationMultiplier);
+    changes.push({ type: "retirement", label: `Retired at ${next.age}; a pension replaces your salary` });
+    return { career: next, changes };
+  }
+
+  const transition = pickTransition(rng, next);
+  if (transition) {
+    const from = next.label;
+    next = enterStage(rng, next, transition.to, locationMultiplier);
+    changes.push({ type: "transition", label: `${from} → ${next.label} at ${next.age}` });
+    return { career: next, changes };
+  }
+
+  const stage = LIFE_STAGES[next.stage];
+  const promotionChance = (PROMOTION_CHANCE[stage.stability] ?? 0) * (stressLevel > HIGH_STRESS ? HIGH_STRESS_PENALTY : 1);
+  if (stage.working && rng.chance(promotionChance)) {
+    const raise = rng.between(PROMOTION_RAISE[0], PROMOTION_RAISE[1]);
+    next = adjustIncome(next, raise);
+    if (stage.ladder && next.level < CAREER_TITLES.length - 1) {
+      next = { ...next, level: next.level + 1, yearsInRole: 0 };
+      changes.push({ type: "promotion", label: `Promoted to ${careerTitle(next)} (+${Math.round(raise * 100)}% pay)` });
+    } else {
+      changes.push({ type: "promotion", label: `Earnings grew ${Math.round(raise * 100)}% as your work gained traction` });
+    }
+    return { career: next, changes };
+  }
+
+  if (stage.working && rng.chance(JOB_CHANGE_CHANCE)) {
+    const change = rng.between(JOB_CHANGE_RAISE[0], JOB_CHANGE_RAISE[1]);
+    next = { ...adjustIncome(next, change), yearsInRole: 0 };
+    changes.push({ type: "job_change", label: `Changed jobs for ${change >= 0 ? "+" : ""}${Math.round(change * 100)}% pay` });
+  }
+
+  return { career: next, changes };
+}
@@ -0,0 +1,97 @@
+import { SPENDING_CATEGORIES, categoryLabel } from "./spending.js";
+
+export const CASHFLOW_GROUPS = {
+  taxes: { label: "Taxes", color: "#ff7b9c" },
+  fixed: { label: "Fixed costs", color: "#ffb454" },
+  spending: { label: "Everyday spending", color: "#7c8bff" },
+  debt: { label: "Debt payments", color: "#d4a5ff" },
+  saving: { label: "Saving & investing", color: "#7dffb3" },
+  surplus: { label: "Kept as cash", color: "#46f0ff" }
+};
+
+const SOURCE_COLOR = "#46f0ff";
+const SHORTFALL_COLOR = "#ff9a9a";
+const FIXED_CATEGORIES = ["fixed_housing", "fixed_utilities"];
+
+const eventCashOf = (snapshot) => (snapshot.eventCashDelta ?? 0) + (snapshot.eventChoiceCash ?? 0);
+
+const sumOf = (entries) => entries.reduce((sum, entry) => sum + entry.amount, 0);
+
+const destinationsOf = (snapshot, locale) => {
+  const breakdown = snapshot.expenseBreakdown;
+  const eventCash = eventCashOf(snapshot);
+  return [
+    { id: "income_tax", group: "taxes", label: "Income tax", amount: snapshot.incomeTax },
+    ...FIXED_CATEGORIES.map((key) => ({
+      id: key,
+      group: "fixed",
+      label: categoryLabel(key, locale),
+      amount: breakdown[key] ?? 0
+    })),
+    { id: "insurance", group: "fixed", label: "Insurance premium", amount: snapshot.insurancePremium },
+    ...Object.entries(SPENDING_CATEGORIES)
+      .filter(([key]) => !FIXED_CATEGORIES.includes(key))
+      .map(([key]) => ({ id: key, group: "spending", label: categoryLabel(key, locale), amount: breakdown[key] ?? 0 })),
+    { id: "event_bills", group: "spending", label: "Life-event bills", amount: Math.max(0, -eventCash) },
+    { id: "debt_interest", group: "debt", label: "Interest", amount: snapshot.debtInterestPaid },
+    { id: "debt_principal", group: "debt", label: "Principal", amount: snapshot.debtPaid - snapshot.debtInterestPaid },
+    { id: "emergency_cash", group: "saving", label: "Emergency savings", amount: snapshot.savingsContribution },
+    { id: "goals", group: "saving", label: "Goals", amount: snapshot.goalContribution ?? 0 },
+    { id: "deposits", group: "saving", label: "Deposits", amount: snapshot.depositContribution ?? 0 },
+    {
+      id: "investments",
+      group: "saving",
+      label: "Investments",
+      amount: snapshot.investmentContribution - snapshot.retirementContribution
+    },
+    { id: "retirement", group: "saving", label: "Retirement", amount: snapshot.retirementContribution }
+  ].filter((entry) => entry.amount > 0);
+};
+
+export function cashflowStream(snapshot, locale) {
+  if (!snapshot?.expenseBreakdown || snapshot.debtInterestPaid === undefined) return null;
+  const eventCash = eventCashOf(snapshot);
+  const sources = [
+    { id: "salary", label: "Salary", amount: snapshot.income },
+    { id: "event_cash", label: "Life-event cash", amount: Math.max(0, eventCash) },
+    { id: "deposit_payout", label: "Deposit payouts", amount: snapshot.depositPayout ?? 0 }
+  ].filter((entry) => entry.amount > 0);
+  const destinations = destinationsOf(snapshot, locale);
+  const balance = sumOf(sources) - sumOf(destinations);
+  const surplus = Math.max(0, balance);
+  const shortfall = Math.max(0, -balance);
+  if (shortfall > 0) sources.push({ id: "shortfall", label: "Shortfall", amount: shortfall, color: SHORTFALL_COLOR });
+
+  const groups = Object.entries(CASHFLOW_GROUPS)
+    .map(([id, group]) => ({
+      id,
+      ...group,
+      amount: id === "surplus" ? surplus : sumOf(destinations.filter((entry) => entry.group === id))
+    }))
+    .filter((group) => group.amount > 0);
+  const hub = { id: "money_in", label: "Money in", column: 1, color: SOURCE_COLOR };
+
+  return {
+    month: snapshot.month,
+    moneyIn: sumOf(sources),
+    surplus,
+    shortfall,
+    shortfallSteps: snapshot.shortfallSteps ?? [],
+    nodes: [
+      ...sources.map((source) => ({ id: source.id, label: source.label, column: 0, color: source.color ?? SOURCE_COLOR })),
+      hub,
+      ...groups.map((group) => ({ id: group.id, label: group.label, column: 2, color: group.color })),
+      ...destinations.map((entry) => ({
+        id: entry.id,
+        label: entry.label,
+        column: 3,
+        color: CASHFLOW_GROUPS[entry.group].color
+      }))
+    ],
+    links: [
+      ...sources.map((source) => ({ source: source.id, target: hub.id, value: source.amount })),
+      ...groups.map((group) => ({ source: hub.id, target: group.id, value: group.amount })),
+      ...destinations.map((entry) => ({ source: entry.group, target: entry.id, value: entry.amount }))
+    ]
+  };
+}
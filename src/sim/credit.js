@@ -0,0 +1,113 @@
+const SCORE_FLOOR = 300;
+const SCORE_CEILING = 850;
+const SCORE_SMOOTHING = 0.3;
+const MISSED_PAYMENT_HIT = 20;
+const INQUIRY_WINDOW_MONTHS = 12;
+const MATURE_HISTORY_MONTHS = 120;
+
+const FACTORS = {
+  payment_history: { label: "Payment history", max: 192 },
+  utilization: { label: "Credit utilization", max: 165 },
+  history_length: { label: "Length of credit history", max: 83 },
+  credit_mix: { label: "Credit mix", max: 55 },
+  inquiries: { label: "Recent inquiries", max: 55 }
+};
+
+export const isRevolving = (debt) => debt.revolving ?? debt.type === "Credit card";
+
+export const revolvingLimit = (debt) => debt.limit ?? Math.round(debt.balance / 0.7);
+
+export const emptyPaymentRecord = { onTime: 0, missed: 0, monthsSinceMiss: null };
+
+export function recordPayment(record = emptyPaymentRecord, { hadDue, missed }) {
+  if (!hadDue) {
+    return { ...record, monthsSinceMiss: record.monthsSinceMiss === null ? null : record.monthsSinceMiss + 1 };
+  }
+  return missed
+    ? { onTime: record.onTime, missed: record.missed + 1, monthsSinceMiss: 0 }
+    : {
+        onTime: record.onTime + 1,
+        missed: record.missed,
+        monthsSinceMiss: record.monthsSinceMiss === null ? null : record.monthsSinceMiss + 1
+      };
+}
+
+const utilizationShare = (utilization) => {
+  if (utilization <= 0.1) return 1;
+  if (utilization <= 0.3) return 0.9;
+  if (utilization <= 0.5) return 0.65;
+  if (utilization <= 0.75) return 0.4;
+  return 0.15;
+};
+
+export function scoreCreditFactors({ debts, paymentRecord, historyMonths, inquiries, month }) {
+  const revolving = debts.filter(isRevolving);
+  const revolvingBalance = revolving.reduce((sum, debt) => sum + debt.balance, 0);
+  const limit = revolving.reduce((sum, debt) => sum + revolvingLimit(debt), 0);
+  const utilization = limit > 0 ? revolvingBalance / limit : 0;
+  const payments = paymentRecord.onTime + paymentRecord.missed;
+  const onTimeRatio = payments > 0 ? paymentRecord.onTime / payments : 1;
+  const recentMissPenalty =
+    paymentRecord.monthsSinceMiss !== null && paymentRecord.monthsSinceMiss < 12
+      ? 0.25 * (1 - paymentRecord.monthsSinceMiss / 12)
+      : 0;
+  const hasInstallment = debts.some((debt) => !isRevolving(debt));
+  const recentInquiries = inquiries.filter((inquiryMonth) => month - inquiryMonth < INQUIRY_WINDOW_MONTHS).length;
+
+  const shares = {
+    payment_history: {
+      share: Math.max(0, onTimeRatio ** 2 - recentMissPenalty),
+      detail: payments > 0 ? `${paymentRecord.onTime} of ${payments} payments on time` : "No payments due yet"
+    },
+    utilization: {
+      share: limit > 0 ? utilizationShare(utilization) : 0.7,
+      detail: limit > 0 ? `${Math.round(utilization * 100)}% of card limits in use` : "No revolving credit lines"
+    },
+    history_length: {
+      share: Math.max(0.2, Math.min(1, historyMonths / MATURE_HISTORY_MONTHS)),
+      detail: `${Math.floor(historyMonths / 12)} years of credit history`
+    },
+    credit_mix: {
+      share: revolving.length > 0 && hasInstallment ? 1 : debts.length > 0 ? 0.6 : 0.4,
+      detail:
+        revolving.length > 0 && hasInstallment
+          ? "Cards and installment loans"
+          : debts.length > 0
+          ? "Only one type of credit"
+          : "No active credit lines"
+    },
+    inquiries: {
+      share: Math.max(0, 1 - recentInquiries * 0.2),
+      detail: `${recentInquiries} credit applications in the last year`
+    }
+  };
+
+  return Object.entries(FACTORS).map(([key, factor]) => ({
+    key,
+    label: factor.label,
+    max: factor.max,
+    points: Math.round(factor.max * shares[key].share),
+    detail: shares[key].detail
+  }));
+}
+
+export function updateCreditScore({ score, previousFactors = [], missed, ...inputs }) {
+  const factors = scoreCreditFactors(inputs);
+  const target = SCORE_FLOOR + factors.reduce((sum, factor) => sum + factor.points, 0);
+  const moved = score + (target - score) * SCORE_SMOOTHING - (missed ? MISSED_PAYMENT_HIT : 0);
+  const nextScore = Math.round(Math.min(Math.max(moved, SCORE_FLOOR), SCORE_CEILING));
+  const previousPoints = Object.fromEntries(previousFactors.map((factor) => [factor.key, factor.points]));
+  const changes = factors
+    .map((factor) => ({
+      key: factor.key,
+      label: factor.label,
+      delta: previousPoints[factor.key] === undefined ? 0 : factor.points - previousPoints[factor.key],
+      detail: factor.detail
+    }))
+    .filter((change) => change.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  if (missed) {
+    changes.unshift({ key: "missed_payment", label: "Missed payment", delta: -MISSED_PAYMENT_HIT, detail: "A minimum due went unpaid" });
+  }
+  return { score: nextScore, target, factors, changes };
+}
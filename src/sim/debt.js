@@ -0,0 +1,124 @@
+export const DEBT_STRATEGIES = {
+  avalanche: { label: "Avalanche (highest rate first)" },
+  snowball: { label: "Snowball (smallest balance first)" },
+  custom: { label: "Custom priority" }
+};
+
+export const DEBT_TYPES = [
+  { label: "Education loan", rate: 0.08 },
+  { label: "Credit card", rate: 0.24, revolving: true },
+  { label: "Personal loan", rate: 0.14 },
+  { label: "Vehicle loan", rate: 0.11 }
+];
+
+const MINIMUM_DUE_RATE = 0.04;
+const MINIMUM_DUE_FLOOR = 20;
+const LATE_FEE = 25;
+const PENALTY_AFTER_MISSES = 2;
+const PENALTY_CURE_MONTHS = 6;
+const PAYOFF_HORIZON_MONTHS = 360;
+
+const penaltyRate = (debt) => Math.max(debt.rate + 0.1, 0.3);
+
+export const effectiveRate = (debt) => (debt.penalty ? penaltyRate(debt) : debt.rate);
+
+export const minimumDueFor = (balance) =>
+  balance <= 0 ? 0 : Math.min(balance, Math.max(MINIMUM_DUE_FLOOR, Math.round(balance * MINIMUM_DUE_RATE)));
+
+export const normalizeDebt = (debt, index) => ({
+  missedStreak: 0,
+  onTimeStreak: 0,
+  penalty: false,
+  interestPaid: 0,
+  ...debt,
+  id: debt.id ?? `${debt.type}-${index}`
+});
+
+const orderDebts = (debts, strategy, priority = []) => {
+  const ordered = [...debts];
+  if (strategy === "snowball") return ordered.sort((a, b) => a.balance - b.balance);
+  if (strategy === "custom" && priority.length > 0) {
+    const rank = (debt) => {
+      const position = priority.indexOf(debt.id);
+      return position === -1 ? priority.length : position;
+    };
+    return ordered.sort((a, b) => rank(a) - rank(b) || effectiveRate(b) - effectiveRate(a));
+  }
+  return ordered.sort((a, b) => effectiveRate(b) - effectiveRate(a));
+};
+
+export function settleDebts({ debts, payment, strategy = "avalanche", priority = [] }) {
+  const ledger = orderDebts(debts.map(normalizeDebt), strategy, priority).map((debt) => {
+    const interest = debt.balance * (effectiveRate(debt) / 12);
+    const owed = debt.balance + interest;
+    return { debt, interest, owed, due: Math.min(debt.minimumDue, owed), paid: 0 };
+  });
+
+  let remaining = Math.max(0, payment);
+  ledger.forEach((entry) => {
+    const paid = Math.min(remaining, entry.due);
+    entry.paid += paid;
+    remaining -= paid;
+  });
+  ledger.forEach((entry) => {
+    const paid = Math.min(remaining, entry.owed - entry.paid);
+    entry.paid += paid;
+    remaining -= paid;
+  });
+
+  let interestTotal = 0;
+  let lateFees = 0;
+  let missed = false;
+  const updated = ledger
+    .map(({ debt, interest, owed, due, paid }) => {
+      const wasMissed = due > 0 && paid < due - 0.005;
+      const fee = wasMissed ? LATE_FEE : 0;
+      const missedStreak = wasMissed ? debt.missedStreak + 1 : 0;
+      const onTimeStreak = wasMissed ? 0 : debt.onTimeStreak + 1;
+      const penalty = wasMissed
+        ? debt.penalty || missedStreak >= PENALTY_AFTER_MISSES
+        : debt.penalty && onTimeStreak < PENALTY_CURE_MONTHS;
+      const balance = Math.max(0, owed - paid + fee);
+      interestTotal += interest;
+      lateFees += fee;
+      missed = missed || wasMissed;
+      return {
+        ...debt,
+        balance,
+        minimumDue: minimumDueFor(balance),
+        missedStreak,
+        onTimeStreak,
+        penalty,
+        interestPaid: debt.interestPaid + interest,
+        lastPayment: paid,
+        lastMissed: wasMissed
+      };
+    })
+    .filter((debt) => debt.balance > 0.5);
+
+  return {
+    debts: updated,
+    paid: Math.max(0, payment) - remaining,
+    interest: interestTotal,
+    interestPaid: ledger.reduce((sum, entry) => sum + Math.min(entry.paid, entry.interest), 0),
+    lateFees,
+    missed
+  };
+}
+
+export function projectDebtPayoff({ debts, payment, strategy, priority }) {
+  let ledger = debts.map(normalizeDebt);
+  const payoffMonths = {};
+  for (let month = 1; month <= PAYOFF_HORIZON_MONTHS && ledger.length > 0; month += 1) {
+    const result = settleDebts({ debts: ledger, payment, strategy, priority });
+    const remainingIds = new Set(result.debts.map((debt) => debt.id));
+    ledger.forEach((debt) => {
+      if (!remainingIds.has(debt.id)) payoffMonths[debt.id] = month;
+    });
+    ledger = result.debts;
+  }
+  return {
+    monthsToDebtFree: ledger.length === 0 ? Math.max(0, ...Object.values(payoffMonths)) : null,
+    payoffMonths
+  };
+}
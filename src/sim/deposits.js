@@ -0,0 +1,117 @@
+export const FIXED_DEPOSIT_TERMS = {
+  6: { label: "6 months", premium: 0.01 },
+  12: { label: "1 year", premium: 0.0175 },
+  24: { label: "2 years", premium: 0.025 }
+};
+
+export const RECURRING_DEPOSIT_TERMS = {
+  12: { label: "1 year", premium: 0.0125 },
+  24: { label: "2 years", premium: 0.02 }
+};
+
+const SAVINGS_BASE_RATE = 0.015;
+const INFLATION_PASS_THROUGH = 0.6;
+const EARLY_WITHDRAWAL_PENALTY = 0.01;
+const DEFAULT_TERM = 12;
+
+export const savingsRateFor = (regime) => SAVINGS_BASE_RATE + regime.inflation * 12 * INFLATION_PASS_THROUGH;
+
+export const monthlyInterest = (balance, rate) => Math.max(0, balance) * (rate / 12);
+
+const termFor = (terms, months) => (terms[months] ? Number(months) : DEFAULT_TERM);
+
+export const depositLabel = (deposit) =>
+  `${deposit.kind === "fixed" ? "Fixed deposit" : "Recurring deposit"} · ${
+    (deposit.kind === "fixed" ? FIXED_DEPOSIT_TERMS : RECURRING_DEPOSIT_TERMS)[deposit.termMonths].label
+  }`;
+
+export function openFixedDeposit({ amount, termMonths, savingsRate, month }) {
+  const term = termFor(FIXED_DEPOSIT_TERMS, termMonths);
+  return {
+    id: `fd-${month}`,
+    kind: "fixed",
+    termMonths: term,
+    rate: savingsRate + FIXED_DEPOSIT_TERMS[term].premium,
+    principal: amount,
+    balance: amount,
+    installment: 0,
+    openedMonth: month,
+    maturityMonth: month + term
+  };
+}
+
+export function openRecurringDeposit({ installment, termMonths, savingsRate, month }) {
+  const term = termFor(RECURRING_DEPOSIT_TERMS, termMonths);
+  return {
+    id: `rd-${month}`,
+    kind: "recurring",
+    termMonths: term,
+    rate: savingsRate + RECURRING_DEPOSIT_TERMS[term].premium,
+    principal: installment,
+    balance: installment,
+    installment,
+    openedMonth: month,
+    maturityMonth: month + term
+  };
+}
+
+export function earlyWithdrawal(deposit) {
+  const earned = deposit.balance - deposit.principal;
+  const keptShare = deposit.rate > 0 ? Math.max(0, deposit.rate - EARLY_WITHDRAWAL_PENALTY) / deposit.rate : 0;
+  const payout = deposit.principal + earned * keptShare;
+  return { payout, penalty: deposit.balance - payout };
+}
+
+export const depositBalance = (deposits = []) => deposits.reduce((sum, deposit) => sum + deposit.balance, 0);
+
+export function advanceDeposits({ deposits = [], decision, savingsRate, month }) {
+  let interest = 0;
+  let installments = 0;
+  let payout = 0;
+  const matured = [];
+  const open = [];
+
+  deposits.forEach((deposit) => {
+    const earned = monthlyInterest(deposit.balance, deposit.rate);
+    const installment = month < deposit.maturityMonth ? deposit.installment : 0;
+    const next = {
+      ...deposit,
+      principal: deposit.principal + installment,
+      balance: deposit.balance + earned + installment
+    };
+    interest += earned;
+    installments += installment;
+    if (month >= next.maturityMonth) {
+      payout += next.balance;
+      matured.push({
+        label: depositLabel(next),
+        payout: Math.round(next.balance),
+        earned: Math.round(next.balance - next.principal)
+      });
+    } else {
+      open.push(next);
+    }
+  });
+
+  const opened = [];
+  const fixedAmount = Math.max(0, decision.fixedDeposit ?? 0);
+  if (fixedAmount > 0) {
+    opened.push(openFixedDeposit({ amount: fixedAmount, termMonths: decision.fixedDepositTerm, savingsRate, month }));
+  }
+  const recurringAmount = Math.max(0, decision.recurringDeposit ?? 0);
+  if (recurringAmount > 0 && !open.some((deposit) => deposit.kind === "recurring")) {
+    opened.push(
+      openRecurringDeposit({ installment: recurringAmount, termMonths: decision.recurringDepositTerm, savingsRate, month })
+    );
+    installments += recurringAmount;
+  }
+
+  return {
+    deposits: [...open, ...opened],
+    interest,
+    contributed: installments + fixedAmount,
+    payout,
+    matured,
+    opened: opened.map(depositLabel)
+  };
+}
@@ -1,56 +1,67 @@
-const MARKET_PRESETS = {
-  bull: { label: "Bull market", baseReturn: 0.012 },
-  neutral: { label: "Stable market", baseReturn: 0.004 },
-  bear: { label: "Bear market", baseReturn: -0.008 }
-};
+import { evaluateAchievements, gateDecision, unlockedFeatures } from "./achievements.js";
+import { LIFE_STAGES, LOCATION_COST, advanceCareer, careerTitle, fixedCostsFor, startCareer } from "./career.js";
+import { emptyPaymentRecord, recordPayment, updateCreditScore } from "./credit.js";
+import { advanceDeposits, depositBalance, earlyWithdrawal, monthlyInterest, savingsRateFor } from "./deposits.js";
+import { advanceLifeEvents, chooseEventOutcome, followUpsFor } from "./events.js";
+import { generateInsights } from "./insights.js";
+import { createGoal, fundGoals, goalBalance } from "./goals.js";
+import { DEBT_TYPES, minimumDueFor, projectDebtPayoff, settleDebts } from "./debt.js";
+import { DEFAULT_REGIME, advanceMarket, resolveRegime } from "./market.js";
+import {
+  RISK_ALLOCATIONS,
+  allocationDrift,
+  growPortfolio,
+  portfolioValue,
+  rebalanceHoldings,
+  seedHoldings
+} from "./portfolio.js";
+import { createRng, mixSeed, normalizeSeed, randomSeed } from "./random.js";
+import { decisionLevers, horizonPaths, summarizeOutcome } from "./report.js";
+import { DEFAULT_SHORTFALL_POLICY, coverShortfall, overdraftLimitFor } from "./shortfall.js";
+import { breakdownItems, categoryItemHistory } from "./spending.js";
+import { DEFAULT_TAX_LOCALE, computeIncomeTax, consumptionTaxRate } from "./tax.js";
+import {
+  branchLogs,
+  recordAction,
+  recordCheckpoint,
+  recordDecision,
+  recordExpensePlan,
+  replayPlan
+} from "./timelines.js";
 
 const RISK_PRESETS = {
-  conservative: { label: "Conservative", riskMultiplier: 0.7 },
-  moderate: { label: "Moderate", riskMultiplier: 1 },
-  aggressive: { label: "Aggressive", riskMultiplier: 1.4 }
+  conservative: { label: "Conservative", allocation: RISK_ALLOCATIONS.conservative },
+  moderate: { label: "Moderate", allocation: RISK_ALLOCATIONS.moderate },
+  aggressive: { label: "Aggressive", allocation: RISK_ALLOCATIONS.aggressive }
 };
 
-const LOCATION_COST = {
-  low: { label: "Low-cost city", multiplier: 0.85 },
-  mid: { label: "Mid-cost city", multiplier: 1 },
-  high: { label: "High-cost city", multiplier: 1.25 }
-};
+export const riskPresets = RISK_PRESETS;
+export const unlockedFor = (state) => unlockedFeatures(state.achievements);
+export const applyUnlocks = (decision, state) =>
+  gateDecision(decision, unlockedFeatures(state.achievements), resolveAllocation(decision));
+export const savingsAccountRate = (state) => savingsRateFor(resolveRegime(state.regime));
+export const categorySpendingHistory = (history, category) => categoryItemHistory(history, category, expenseCatalog);
 
-const LIFE_EVENT_POOL = [
-  {
-    key: "bonus",
-    label: "Unexpected bonus",
-    impact: () => ({ cashDelta: 900, stressDelta: -4 })
-  },
-  {
-    key: "medical",
-    label: "Medical emergency",
-    impact: () => ({ cashDelta: -1400, stressDelta: 10 })
-  },
-  {
-    key: "salary_delay",
-    label: "Salary delay",
-    impact: () => ({ incomeMultiplier: 0.7, stressDelta: 8 })
-  },
-  {
-    key: "market_crash",
-    label: "Market dip",
-    impact: () => ({ marketShock: -0.03, stressDelta: 6 })
-  },
-  {
-    key: "rent_hike",
-    label: "Rent hike",
-    impact: () => ({ fixedCostDelta: 120, stressDelta: 4 })
-  },
-  {
-    key: "family_need",
-    label: "Family obligation",
-    impact: () => ({ cashDelta: -500, stressDelta: 6 })
-  }
-];
+export const defaultFixedCosts = (lifeStage) =>
+  fixedCostsFor(lifeStage.income, (LOCATION_COST[lifeStage.location] ?? LOCATION_COST.mid).multiplier);
 
-export const marketPresets = MARKET_PRESETS;
-export const riskPresets = RISK_PRESETS;
+export const resolveAllocation = (decision) =>
+  decision.allocation ?? (RISK_PRESETS[decision.riskProfile] ?? RISK_PRESETS.moderate).allocation;
+
+const resolveHoldings = (state, decision) => state.holdings ?? seedHoldings(state.investments, resolveAllocation(decision));
+
+export const portfolioDrift = (state, decision) => {
+  const gated = applyUnlocks(decision, state);
+  return allocationDrift(resolveHoldings(state, gated), resolveAllocation(gated));
+};
+
+export function rebalancePortfolio(state, decision) {
+  const gated = applyUnlocks(decision, state);
+  return recordAction(
+    { ...state, holdings: rebalanceHoldings(resolveHoldings(state, gated), resolveAllocation(gated)) },
+    { type: "rebalance", decision }
+  );
+}
 
 export const expenseCatalog = {
   food: [
@@ -92,85 +103,170 @@ export const expenseCatalog = {
 
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
-const pick = (items) => items[Math.floor(Math.random() * items.length)];
-
-const baseLifeStages = [
-  { label: "School student", incomeRange: [200, 600], stability: "low" },
-  { label: "College student", incomeRange: [600, 1800], stability: "low" },
-  { label: "First job professional", incomeRange: [2800, 5200], stability: "medium" },
-  { label: "Freelancer", incomeRange: [2000, 5200], stability: "low" },
-  { label: "Family with dependents", incomeRange: [5200, 9000], stability: "medium" },
-  { label: "Entrepreneur", incomeRange: [3500, 8200], stability: "medium" },
-  { label: "Retired individual", incomeRange: [1800, 4200], stability: "high" }
-];
-
-const debtTypes = [
-  { label: "Education loan", rate: 0.08 },
-  { label: "Credit card", rate: 0.24 },
-  { label: "Personal loan", rate: 0.14 },
-  { label: "Vehicle loan", rate: 0.11 }
-];
-
-const makeDebt = (maxBalance) => {
-  const debtType = pick(debtTypes);
-  const balance = Math.round((Math.random() * 0.6 + 0.2) * maxBalance);
-  return {
+const makeDebt = (rng, maxBalance, index) => {
+  const debtType = rng.pick(DEBT_TYPES);
+  const balance = Math.round(rng.between(0.2, 0.8) * maxBalance);
+  const debt = {
+    id: `debt-${index + 1}`,
     type: debtType.label,
     balance,
     rate: debtType.rate,
-    minimumDue: Math.max(20, Math.round(balance * 0.04))
+    minimumDue: minimumDueFor(balance)
   };
+  return debtType.revolving ? { ...debt, revolving: true, limit: Math.round(balance / rng.between(0.35, 0.9)) } : debt;
 };
 
-export function generateLifeStage() {
-  const base = pick(baseLifeStages);
-  const location = pick(Object.keys(LOCATION_COST));
-  const age = Math.round(16 + Math.random() * 40);
-  const dependents = base.label.includes("Family") ? 2 + Math.floor(Math.random() * 2) : Math.random() < 0.2 ? 1 : 0;
-  const income = Math.round(
-    (base.incomeRange[0] + Math.random() * (base.incomeRange[1] - base.incomeRange[0])) *
-      LOCATION_COST[location].multiplier
-  );
-  const debtCount = Math.random() < 0.6 ? 1 : Math.random() < 0.8 ? 2 : 0;
-  const debts = Array.from({ length: debtCount }, () => makeDebt(income * 6));
+export function generateLifeStage(seed = randomSeed()) {
+  const lifeSeed = normalizeSeed(seed);
+  const rng = createRng(mixSeed(lifeSeed, 0));
+  const stage = rng.pick(Object.keys(LIFE_STAGES));
+  const base = LIFE_STAGES[stage];
+  const location = rng.pick(Object.keys(LOCATION_COST));
+  const age = Math.round(rng.between(base.ageRange[0], base.ageRange[1]));
+  const dependents = base.label.includes("Family") ? 2 + Math.floor(rng.next() * 2) : rng.chance(0.2) ? 1 : 0;
+  const income = Math.round(rng.between(base.incomeRange[0], base.incomeRange[1]) * LOCATION_COST[location].multiplier);
+  const debtCount = rng.chance(0.6) ? 1 : rng.chance(0.8) ? 2 : 0;
+  const debts = Array.from({ length: debtCount }, (_, index) => makeDebt(rng, income * 6, index));
 
   return {
-    id: `${Date.now()}-${Math.round(Math.random() * 10000)}`,
+    id: `${lifeSeed}-${Date.now()}`,
+    seed: lifeSeed,
+    stage,
     label: base.label,
     age,
     stability: base.stability,
     location,
+    locale: DEFAULT_TAX_LOCALE,
     dependents,
     income,
-    fixedCosts: {
-      housing: Math.round(LOCATION_COST[location].multiplier * (income * 0.28)),
-      utilities: Math.round(LOCATION_COST[location].multiplier * 120)
-    },
+    fixedCosts: fixedCostsFor(income, LOCATION_COST[location].multiplier),
     debts,
-    assets: Math.round(Math.max(0, income * (Math.random() * 0.6)))
+    assets: Math.round(Math.max(0, income * rng.between(0, 0.6)))
   };
 }
 
 export const defaultDecision = {
   marketMode: "neutral",
   riskProfile: "moderate",
+  allocation: null,
+  debtStrategy: "avalanche",
+  debtPriority: [],
   debtPayment: 0,
   investment: 0,
-  emergencyCash: 0
+  emergencyCash: 0,
+  shortfallPolicy: DEFAULT_SHORTFALL_POLICY,
+  fixedDeposit: 0,
+  fixedDepositTerm: 12,
+  recurringDeposit: 0,
+  recurringDepositTerm: 12,
+  insurancePremium: 0,
+  retirementContribution: 0,
+  deductionMode: "standard",
+  goalContributions: {}
 };
 
 export const defaultState = {
+  seed: 0,
   month: 1,
   cashOnHand: 1000,
   savings: 2000,
   investments: 2000,
+  holdings: null,
   debtBalance: 0,
   debts: [],
+  interestPaid: 0,
+  regime: DEFAULT_REGIME,
+  cpi: 1,
+  incomeIndex: 1,
+  cpiAtLastRaise: 1,
   stressLevel: 40,
   creditScore: 680,
-  history: []
+  creditHistoryMonths: 0,
+  paymentRecord: emptyPaymentRecord,
+  creditInquiries: [],
+  creditFactors: [],
+  activeEvents: [],
+  queuedEvents: [],
+  lastEventMonths: {},
+  pendingChoice: null,
+  career: null,
+  careerLog: [],
+  goals: [],
+  deposits: [],
+  achievements: [],
+  history: [],
+  annualSummaries: [],
+  checkpoints: [],
+  decisionLog: [],
+  expenseLog: [],
+  actionLog: [],
+  monthLog: []
 };
 
+export function createSimulationState(lifeStage, seed = lifeStage.seed) {
+  return {
+    ...defaultState,
+    seed: normalizeSeed(seed ?? randomSeed()),
+    cashOnHand: lifeStage.assets,
+    debtBalance: lifeStage.debts.reduce((sum, debt) => sum + debt.balance, 0),
+    debts: lifeStage.debts,
+    creditHistoryMonths: Math.max(0, (lifeStage.age - 18) * 12),
+    career: startCareer(lifeStage),
+    goals: (lifeStage.goals ?? []).map((goal, index) =>
+      createGoal({ ...goal, id: `goal-${index + 1}`, startMonth: defaultState.month })
+    )
+  };
+}
+
+export function addGoal(state, goal) {
+  const added = { ...goal, id: goal.id ?? `goal-${Date.now()}` };
+  return recordAction(
+    { ...state, goals: [...(state.goals ?? []), createGoal({ ...added, startMonth: state.month })] },
+    { type: "addGoal", goal: added }
+  );
+}
+
+export function removeGoal(state, goalId) {
+  const goal = (state.goals ?? []).find((entry) => entry.id === goalId);
+  if (!goal) return state;
+  return recordAction(
+    {
+      ...state,
+      cashOnHand: state.cashOnHand + goal.saved,
+      goals: state.goals.filter((entry) => entry.id !== goalId)
+    },
+    { type: "removeGoal", goalId }
+  );
+}
+
+export function breakDeposit(state, depositId) {
+  const deposit = (state.deposits ?? []).find((entry) => entry.id === depositId);
+  if (!deposit) return state;
+  return recordAction(
+    {
+      ...state,
+      cashOnHand: state.cashOnHand + earlyWithdrawal(deposit).payout,
+      deposits: state.deposits.filter((entry) => entry.id !== depositId)
+    },
+    { type: "breakDeposit", depositId }
+  );
+}
+
+export function currentLifeStage(lifeStage, state) {
+  const career = state.career ?? startCareer(lifeStage);
+  return {
+    ...lifeStage,
+    stage: career.stage,
+    label: career.label,
+    title: careerTitle(career),
+    age: career.age,
+    stability: career.stability,
+    dependents: career.dependents,
+    income: career.income,
+    fixedCosts: career.fixedCosts
+  };
+}
+
 export function buildExpensePlan(lifeStage) {
   const quantities = {};
   const priceTiers = {};
@@ -180,7 +276,10 @@ export function buildExpensePlan(lifeStage) {
     quantities[item.key] = Math.round(baseQty * multiplier);
     priceTiers[item.key] = "typical";
   });
-  return { quantities, priceTiers };
+  return {
+    quantities: { ...quantities, ...lifeStage.expensePlan?.quantities },
+    priceTiers: { ...priceTiers, ...lifeStage.expensePlan?.priceTiers }
+  };
 }
 
 export function resolveItemPrice(item, tier, locationMultiplier) {
@@ -189,10 +288,12 @@ export function resolveItemPrice(item, tier, locationMultiplier) {
   return price * locationMultiplier;
 }
 
-export function calculateExpenses({ lifeStage, quantities, priceTiers }) {
-  const locationMultiplier = LOCATION_COST[lifeStage.location].multiplier;
+export function calculateExpenses({ lifeStage, quantities, priceTiers, priceIndex = 1 }) {
+  const locationMultiplier = LOCATION_COST[lifeStage.location].multiplier * priceIndex;
+  const locale = lifeStage.locale ?? DEFAULT_TAX_LOCALE;
   const items = [];
   let variableTotal = 0;
+  let consumptionTax = 0;
   Object.entries(expenseCatalog).forEach(([category, entries]) => {
     entries.forEach((item) => {
       const qty = quantities[item.key] ?? 0;
@@ -200,6 +301,7 @@ export function calculateExpenses({ lifeStage, quantities, priceTiers }) {
       const price = resolveItemPrice(item, tier, locationMultiplier);
       const cost = qty * price;
       if (cost > 0) {
+        const tax = cost * consumptionTaxRate(locale, category);
         items.push({
           category,
           key: item.key,
@@ -207,17 +309,50 @@ export function calculateExpenses({ lifeStage, quantities, priceTiers }) {
           qty,
           unit: item.unit,
           price,
-          cost
+          cost,
+          tax
         });
         variableTotal += cost;
+        consumptionTax += tax;
       }
     });
   });
 
-  const fixedTotal = lifeStage.fixedCosts.housing + lifeStage.fixedCosts.utilities;
-  return { items, variableTotal, fixedTotal, total: fixedTotal + variableTotal };
+  const fixedTotal = (lifeStage.fixedCosts.housing + lifeStage.fixedCosts.utilities) * priceIndex;
+  return {
+    items,
+    variableTotal,
+    fixedTotal,
+    consumptionTax,
+    total: fixedTotal + variableTotal + consumptionTax,
+    priceIndex
+  };
 }
 
+const breakdownExpenses = ({ expenses, priceAdjustment, career, cpi, eventCost, consumptionTax }) => {
+  const categories = Object.fromEntries(Object.keys(expenseCatalog).map((category) => [category, 0]));
+  (expenses.items ?? []).forEach((item) => {
+    categories[item.category] += item.cost * priceAdjustment;
+  });
+  return Object.fromEntries(
+    Object.entries({
+      ...categories,
+      fixed_housing: career.fixedCosts.housing * cpi,
+      fixed_utilities: career.fixedCosts.utilities * cpi,
+      consumption_tax: consumptionTax,
+      life_events: eventCost
+    }).map(([key, amount]) => [key, Math.round(amount)])
+  );
+};
+
+const netWorthOf = (state) =>
+  state.cashOnHand +
+  state.savings +
+  goalBalance(state.goals) +
+  depositBalance(state.deposits) +
+  state.investments -
+  state.debtBalance;
+
 const computeStress = ({ cashOnHand, expenses, debtBalance }) => {
   const safetyBuffer = cashOnHand / Math.max(expenses, 1);
   const debtLoad = debtBalance / 25000;
@@ -225,128 +360,594 @@ const computeStress = ({ cashOnHand, expenses, debtBalance }) => {
   return clamp(Math.round(raw), 5, 95);
 };
 
-const updateCredit = ({ missed, utilization }) => {
-  if (missed) return -20;
-  if (utilization > 0.6) return -6;
-  if (utilization < 0.3) return 6;
-  return 2;
-};
+const FORCED_BORROWING_STRESS = 8;
 
-const pickLifeEvent = (lastEventKey) => {
-  const available = LIFE_EVENT_POOL.filter((event) => event.key !== lastEventKey);
-  if (Math.random() < 0.22) {
-    return pick(available);
-  }
-  return null;
+const RAISE_INTERVAL_MONTHS = 12;
+const RAISE_PASS_THROUGH = 0.7;
+
+const applyAnnualRaise = ({ month, cpi, incomeIndex, cpiAtLastRaise }) => {
+  if (month % RAISE_INTERVAL_MONTHS !== 0) return { incomeIndex, cpiAtLastRaise, raise: 0 };
+  const raise = Math.max(0, cpi / cpiAtLastRaise - 1) * RAISE_PASS_THROUGH;
+  return { incomeIndex: incomeIndex * (1 + raise), cpiAtLastRaise: cpi, raise };
 };
 
-const allocateDebtPayment = (debts, payment) => {
-  const sorted = [...debts].sort((a, b) => b.rate - a.rate);
-  let remaining = payment;
-  const updated = sorted.map((debt) => {
-    const interest = debt.balance * (debt.rate / 12);
-    const minimum = Math.min(debt.minimumDue, debt.balance + interest);
-    const paid = Math.min(remaining, minimum + Math.max(0, remaining - minimum));
-    remaining -= paid;
-    const nextBalance = clamp(debt.balance + interest - paid, 0, 1e9);
-    return { ...debt, balance: nextBalance };
+export function debtPayoffPlan(state, decision) {
+  return projectDebtPayoff({
+    debts: state.debts,
+    payment: decision.debtPayment,
+    strategy: decision.debtStrategy,
+    priority: decision.debtPriority
   });
-  const missed = payment < debts.reduce((sum, debt) => sum + debt.minimumDue, 0) * 0.9;
-  return { updated: updated.sort((a, b) => a.rate - b.rate), missed };
+}
+
+const MONTHS_PER_YEAR = 12;
+const HISTORY_MONTHS = 72;
+
+const borrowForEvent = (newDebt, month, index) => ({
+  id: `event-${month}-${index + 1}`,
+  type: newDebt.type,
+  balance: newDebt.amount,
+  rate: newDebt.rate,
+  minimumDue: minimumDueFor(newDebt.amount),
+  ...(newDebt.limit ? { revolving: true, limit: newDebt.limit } : {})
+});
+
+const settleEventChoice = (state, choiceKey) => {
+  if (!state.pendingChoice) return state;
+  const active = (state.activeEvents ?? []).find((event) => event.id === state.pendingChoice.eventId);
+  if (!active) return { ...state, pendingChoice: null };
+  const rng = createRng(mixSeed(mixSeed(state.seed ?? 0, active.startedMonth), 3));
+  const outcome = chooseEventOutcome(rng, active, choiceKey);
+  const finished = outcome.active.remaining <= 0;
+  const followUp = finished ? followUpsFor(outcome.active).find((entry) => rng.chance(entry.chance)) : null;
+  const newDebts = outcome.impact.newDebts.map((debt, index) => borrowForEvent(debt, active.startedMonth, index));
+  const debts = [...state.debts, ...newDebts];
+  const history = state.history.map((snapshot) =>
+    snapshot.month === active.startedMonth
+      ? { ...snapshot, eventChoice: outcome.choiceLabel, eventChoiceCash: Math.round(outcome.impact.cashDelta) }
+      : snapshot
+  );
+  const monthLog = (state.monthLog ?? []).map((entry) =>
+    entry.month === active.startedMonth ? { ...entry, eventChoice: outcome.choiceLabel } : entry
+  );
+  return {
+    ...state,
+    cashOnHand: state.cashOnHand + outcome.impact.cashDelta,
+    incomeIndex: (state.incomeIndex ?? 1) * (1 + outcome.impact.salaryChange),
+    debts,
+    debtBalance: debts.reduce((sum, debt) => sum + debt.balance, 0),
+    creditInquiries: newDebts.length > 0 ? [...(state.creditInquiries ?? []), active.startedMonth] : state.creditInquiries,
+    activeEvents: state.activeEvents
+      .map((event) => (event.id === active.id ? outcome.active : event))
+      .filter((event) => !(finished && event.id === active.id)),
+    queuedEvents: followUp ? [...(state.queuedEvents ?? []), followUp.key] : state.queuedEvents,
+    pendingChoice: null,
+    history,
+    monthLog
+  };
 };
 
-export function runDecisionCycle({ lifeStage, decision, expenses, state }) {
-  const market = MARKET_PRESETS[decision.marketMode] ?? MARKET_PRESETS.neutral;
-  const risk = RISK_PRESETS[decision.riskProfile] ?? RISK_PRESETS.moderate;
-  const lastEventKey = state.history.at(-1)?.eventKey ?? null;
-  const lifeEvent = pickLifeEvent(lastEventKey);
-  const eventImpact = lifeEvent ? lifeEvent.impact() : {};
+export const resolveEventChoice = (state, choiceKey) =>
+  state.pendingChoice ? recordAction(settleEventChoice(state, choiceKey), { type: "eventChoice", choiceKey }) : state;
+
+const LOG_FIELDS = [
+  "month",
+  "age",
+  "lifeStage",
+  "income",
+  "incomeTax",
+  "netIncome",
+  "expenses",
+  "consumptionTax",
+  "cashOnHand",
+  "savings",
+  "goalSavings",
+  "deposits",
+  "investments",
+  "debtBalance",
+  "debtPaid",
+  "interestThisMonth",
+  "lateFees",
+  "missedPayment",
+  "shortfall",
+  "netWorth",
+  "realNetWorth",
+  "creditScore",
+  "stressLevel",
+  "regime",
+  "inflation",
+  "marketReturn",
+  "event",
+  "eventChoice"
+];
 
-  const incomeMultiplier = eventImpact.incomeMultiplier ?? 1;
-  const income = lifeStage.income * incomeMultiplier;
-  const expenseTotal = expenses.total + (eventImpact.fixedCostDelta ?? 0);
+export const historyLogFields = LOG_FIELDS;
 
-  const debtPayment = decision.debtPayment;
-  const savingsContribution = decision.emergencyCash;
-  const investmentContribution = decision.investment;
+const logEntry = (snapshot) => ({
+  ...Object.fromEntries(LOG_FIELDS.map((field) => [field, snapshot[field]])),
+  expenseBreakdown: snapshot.expenseBreakdown
+});
 
-  const outflow = expenseTotal + debtPayment + savingsContribution + investmentContribution;
-  const cashDelta = income - outflow + (eventImpact.cashDelta ?? 0);
-  const nextCash = state.cashOnHand + cashDelta;
+export function fullHistory(state) {
+  const log = state.monthLog ?? [];
+  const firstLogged = log[0]?.month ?? Infinity;
+  return [...state.history.filter((snapshot) => snapshot.month < firstLogged), ...log];
+}
 
-  const debtState = allocateDebtPayment(state.debts, debtPayment);
-  const nextSavings = state.savings + savingsContribution;
+const summarizeYear = (months, year, openingNetWorth) => {
+  const total = (key) => months.reduce((sum, snapshot) => sum + (snapshot[key] ?? 0), 0);
+  const income = total("income");
+  const netIncome = total("netIncome") || income;
+  const spending = total("expenses");
+  const investmentReturn = months.reduce((growth, snapshot) => growth * (1 + snapshot.marketReturn), 1) - 1;
+  return {
+    year,
+    fromMonth: months[0].month,
+    toMonth: months.at(-1).month,
+    income,
+    netIncome,
+    spending,
+    savingsRate: netIncome > 0 ? (netIncome - spending) / netIncome : 0,
+    investmentReturn,
+    debtPaid: total("debtPaid"),
+    interest: total("interestThisMonth"),
+    interestEarned: total("savingsInterest") + total("depositInterest"),
+    startNetWorth: months[0].openingNetWorth ?? openingNetWorth ?? months[0].netWorth,
+    endNetWorth: months.at(-1).netWorth,
+    events: months.filter((snapshot) => snapshot.eventKey !== "none").map((snapshot) => snapshot.event),
+    careerChanges: months.flatMap((snapshot) => snapshot.careerChanges ?? []),
+    goalsCompleted: months.flatMap((snapshot) => snapshot.goalsCompleted ?? []),
+    achievements: months.flatMap((snapshot) => snapshot.achievementsEarned ?? [])
+  };
+};
 
-  const marketReturn = market.baseReturn * risk.riskMultiplier + (Math.random() - 0.5) * 0.012 + (eventImpact.marketShock ?? 0);
-  const nextInvestments = (state.investments + investmentContribution) * (1 + marketReturn);
-  const totalDebt = debtState.updated.reduce((sum, debt) => sum + debt.balance, 0);
-  const netWorth = nextCash + nextSavings + nextInvestments - totalDebt;
-  const creditLimit = Math.max(totalDebt * 1.4, 1);
-  const utilization = totalDebt / creditLimit;
-  const creditScore = clamp(state.creditScore + updateCredit({ missed: debtState.missed, utilization }), 420, 850);
+export function runDecisionCycle({
+  lifeStage,
+  decision: requested,
+  expenses,
+  expensePlan,
+  state: incomingState,
+  projection = false
+}) {
+  const state = incomingState.pendingChoice ? settleEventChoice(incomingState, null) : incomingState;
+  const decision = applyUnlocks(requested, state);
+  const seed = state.seed ?? 0;
+  const rng = createRng(mixSeed(seed, state.month));
+  const marketRng = createRng(mixSeed(mixSeed(seed, state.month), 1));
+  const { regimeKey, regime } = advanceMarket(marketRng, decision.marketMode, state.regime ?? DEFAULT_REGIME);
+  const startingCareer = state.career ?? startCareer(lifeStage);
+  const careerStep =
+    state.month % MONTHS_PER_YEAR === 0
+      ? advanceCareer(createRng(mixSeed(mixSeed(seed, state.month), 4)), startingCareer, {
+          stressLevel: state.stressLevel,
+          locationMultiplier: LOCATION_COST[lifeStage.location].multiplier
+        })
+      : { career: startingCareer, changes: [] };
+  const career = careerStep.career;
+  const insurancePremium = decision.insurancePremium ?? 0;
+  const lifeEvents = advanceLifeEvents(createRng(mixSeed(mixSeed(seed, state.month), 2)), {
+    context: {
+      stage: career.label,
+      age: career.age,
+      dependents: career.dependents,
+      regime: regimeKey,
+      insured: insurancePremium > 0
+    },
+    activeEvents: state.activeEvents ?? [],
+    queuedEvents: state.queuedEvents ?? [],
+    lastEventMonths: state.lastEventMonths ?? {},
+    month: state.month
+  });
+  const eventImpact = lifeEvents.impact;
+  const startedEvent = lifeEvents.started;
 
-  const stressLevel = computeStress({ cashOnHand: nextCash, expenses: expenseTotal, debtBalance: totalDebt });
+  const cpi = state.cpi ?? 1;
+  const wages = applyAnnualRaise({
+    month: state.month,
+    cpi,
+    incomeIndex: state.incomeIndex ?? 1,
+    cpiAtLastRaise: state.cpiAtLastRaise ?? 1
+  });
+  const incomeIndex = wages.incomeIndex * (1 + eventImpact.salaryChange);
+  const income = career.income * incomeIndex * eventImpact.incomeMultiplier;
+  const priceAdjustment = cpi / (expenses.priceIndex ?? 1);
+  const fixedCosts = (career.fixedCosts.housing + career.fixedCosts.utilities) * cpi;
+  const expenseTotal =
+    (expenses.total - (expenses.fixedTotal ?? 0)) * priceAdjustment + fixedCosts + eventImpact.fixedCostDelta;
+  const consumptionTax = (expenses.consumptionTax ?? 0) * priceAdjustment;
+
+  const savingsContribution = decision.emergencyCash;
+  const investmentContribution = decision.investment;
+  const retirementContribution = decision.retirementContribution ?? 0;
+  const incomeTax = computeIncomeTax(lifeStage.locale, {
+    grossMonthly: income,
+    deductionMode: decision.deductionMode,
+    insurancePremium,
+    retirementContribution
+  });
+  const netIncome = income - incomeTax.tax;
+
+  const goalFunding = fundGoals(state.goals, decision.goalContributions, state.month);
+  const savingsRate = savingsRateFor(regime);
+  const savingsInterest = monthlyInterest(state.savings, savingsRate);
+  const depositStep = advanceDeposits({
+    deposits: state.deposits,
+    decision,
+    savingsRate,
+    month: state.month
+  });
+  const essentialCash = state.cashOnHand + netIncome - expenseTotal - insurancePremium + depositStep.payout + eventImpact.cashDelta;
+  const contributions =
+    savingsContribution + investmentContribution + retirementContribution + goalFunding.contributed + depositStep.contributed;
+
+  const minimumDue = state.debts.reduce((sum, debt) => sum + debt.minimumDue, 0);
+  const debtState = settleDebts({
+    debts: state.debts,
+    payment: Math.max(decision.debtPayment, Math.min(minimumDue, Math.max(0, essentialCash))),
+    strategy: decision.debtStrategy,
+    priority: decision.debtPriority
+  });
+  const interestPaid = (state.interestPaid ?? 0) + debtState.interest;
+  const cashDelta = essentialCash - state.cashOnHand - debtState.paid - contributions;
+
+  const portfolio = growPortfolio({
+    rng,
+    holdings: resolveHoldings(state, decision),
+    contribution: investmentContribution + retirementContribution,
+    allocation: resolveAllocation(decision),
+    regime,
+    shock: eventImpact.marketShock
+  });
+  const marketReturn = portfolio.portfolioReturn;
+  const eventDebts = eventImpact.newDebts.map((debt, index) => borrowForEvent(debt, state.month, index));
+  const buffers = coverShortfall({
+    cash: state.cashOnHand + cashDelta,
+    savings: state.savings + savingsInterest + savingsContribution,
+    holdings: portfolio.holdings,
+    debts: [...debtState.debts, ...eventDebts],
+    policy: decision.shortfallPolicy,
+    overdraftLimit: overdraftLimitFor(career.income * incomeIndex)
+  });
+  const nextCash = buffers.cash;
+  const nextSavings = buffers.savings;
+  const holdings = buffers.holdings;
+  const nextInvestments = portfolioValue(holdings);
+  const debts = buffers.debts;
+  const creditInquiries =
+    eventDebts.length > 0 || buffers.openedOverdraft
+      ? [...(state.creditInquiries ?? []), state.month]
+      : state.creditInquiries ?? [];
+  const totalDebt = debts.reduce((sum, debt) => sum + debt.balance, 0);
+  const payoff = projection ? null : debtPayoffPlan({ debts }, decision);
+  const goalSavings = goalBalance(goalFunding.goals);
+  const lockedDeposits = depositBalance(depositStep.deposits);
+  const netWorth = nextCash + nextSavings + goalSavings + lockedDeposits + nextInvestments - totalDebt;
+  const nextCpi = cpi * (1 + regime.inflation);
+  const hadDue = state.debts.length > 0;
+  const paymentRecord = recordPayment(state.paymentRecord, { hadDue, missed: debtState.missed });
+  const creditHistoryMonths = (state.creditHistoryMonths ?? 0) + (hadDue || state.creditHistoryMonths > 0 ? 1 : 0);
+  const credit = updateCreditScore({
+    score: state.creditScore,
+    previousFactors: state.creditFactors,
+    missed: debtState.missed,
+    debts,
+    paymentRecord,
+    historyMonths: creditHistoryMonths,
+    inquiries: creditInquiries,
+    month: state.month
+  });
+  const creditScore = credit.score;
+
+  const stressLevel = clamp(
+    computeStress({ cashOnHand: nextCash, expenses: expenseTotal, debtBalance: totalDebt }) +
+      eventImpact.stressDelta +
+      (buffers.steps.some((step) => step.rate !== undefined) ? FORCED_BORROWING_STRESS : 0),
+    5,
+    95
+  );
 
   const snapshot = {
     month: state.month,
+    openingNetWorth: Math.round(netWorthOf(state)),
     netWorth: Math.round(netWorth),
+    realNetWorth: Math.round(netWorth / cpi),
     cashOnHand: Math.round(nextCash),
     savings: Math.round(nextSavings),
     investments: Math.round(nextInvestments),
     debtBalance: Math.round(totalDebt),
+    debtPaid: Math.round(debtState.paid),
+    debtInterestPaid: Math.round(debtState.interestPaid),
+    interestThisMonth: Math.round(debtState.interest),
+    interestPaid: Math.round(interestPaid),
+    lateFees: debtState.lateFees,
+    missedPayment: debtState.missed,
+    monthsToDebtFree: payoff ? payoff.monthsToDebtFree : undefined,
     stressLevel,
     creditScore,
+    creditChanges: credit.changes.slice(0, 3),
     expenses: Math.round(expenseTotal),
+    expenseBreakdown: projection
+      ? null
+      : breakdownExpenses({
+          expenses,
+          priceAdjustment,
+          career,
+          cpi,
+          eventCost: eventImpact.fixedCostDelta,
+          consumptionTax
+        }),
+    expenseItems: projection ? null : breakdownItems(expenses.items ?? [], priceAdjustment),
     income: Math.round(income),
+    incomeTax: Math.round(incomeTax.tax),
+    netIncome: Math.round(netIncome),
+    consumptionTax: Math.round(consumptionTax),
+    taxDeduction: Math.round(incomeTax.deduction),
+    missedTaxSavings: Math.round(incomeTax.missedSavings),
     marketReturn,
-    event: lifeEvent?.label ?? "Quiet month",
-    eventKey: lifeEvent?.key ?? "none"
+    assetReturns: portfolio.returns,
+    holdings: Object.fromEntries(Object.entries(holdings).map(([key, value]) => [key, Math.round(value)])),
+    regime: regimeKey,
+    inflation: regime.inflation,
+    cpi,
+    salaryRaise: wages.raise,
+    event: startedEvent?.label ?? "Quiet month",
+    eventKey: startedEvent?.key ?? "none",
+    majorEvent: Boolean(startedEvent?.major),
+    activeEvents: lifeEvents.activeEvents.map(({ key, label, remaining }) => ({ key, label, remaining })),
+    endedEvents: lifeEvents.ended.map((event) => event.label),
+    age: career.age,
+    lifeStage: careerTitle(career),
+    careerChanges: careerStep.changes.map((change) => change.label),
+    goalSavings: Math.round(goalSavings),
+    goalContribution: Math.round(goalFunding.contributed),
+    goalsCompleted: goalFunding.completed,
+    goalsSlipped: goalFunding.slipped,
+    savingsInterest: Math.round(savingsInterest),
+    savingsInterestRate: savingsRate,
+    deposits: Math.round(lockedDeposits),
+    depositInterest: Math.round(depositStep.interest),
+    depositContribution: Math.round(depositStep.contributed),
+    depositPayout: Math.round(depositStep.payout),
+    depositsOpened: depositStep.opened,
+    depositsMatured: depositStep.matured,
+    investmentContribution: Math.round(investmentContribution + retirementContribution),
+    retirementContribution: Math.round(retirementContribution),
+    savingsContribution: Math.round(savingsContribution),
+    insurancePremium: Math.round(insurancePremium),
+    shortfall: Math.round(buffers.shortfall),
+    shortfallSteps: buffers.steps.map((step) => ({ ...step, amount: Math.round(step.amount) })),
+    eventCashDelta: Math.round(eventImpact.cashDelta),
+    eventIncomeLost: Math.round(career.income * incomeIndex * (1 - eventImpact.incomeMultiplier))
   };
 
-  const history = [...state.history, snapshot].slice(-72);
-
-  return {
+  const reached = evaluateAchievements([...state.history, snapshot], state.achievements ?? [], state.month);
+  const history = [
+    ...state.history,
+    { ...snapshot, achievementsEarned: reached.newlyEarned.map((achievement) => achievement.label) }
+  ].slice(-HISTORY_MONTHS);
+  const completedYear =
+    state.month % MONTHS_PER_YEAR === 0
+      ? summarizeYear(history.slice(-MONTHS_PER_YEAR), state.month / MONTHS_PER_YEAR, history.at(-MONTHS_PER_YEAR - 1)?.netWorth)
+      : null;
+  const careerLog =
+    careerStep.changes.length > 0
+      ? [...(state.careerLog ?? []), ...careerStep.changes.map((change) => ({ month: state.month, age: career.age, ...change }))]
+      : state.careerLog ?? [];
+  const annualSummaries = completedYear
+    ? [...(state.annualSummaries ?? []), completedYear]
+    : state.annualSummaries ?? [];
+
+  const nextState = {
+    seed,
     month: state.month + 1,
     cashOnHand: nextCash,
     savings: nextSavings,
     investments: nextInvestments,
+    holdings,
     debtBalance: totalDebt,
-    debts: debtState.updated,
+    debts,
+    interestPaid,
+    regime: regimeKey,
+    cpi: nextCpi,
+    incomeIndex,
+    cpiAtLastRaise: wages.cpiAtLastRaise,
     stressLevel,
     creditScore,
-    history
+    creditHistoryMonths,
+    paymentRecord,
+    creditInquiries,
+    creditFactors: credit.factors,
+    activeEvents: lifeEvents.activeEvents,
+    queuedEvents: lifeEvents.queuedEvents,
+    lastEventMonths: lifeEvents.lastEventMonths,
+    pendingChoice: lifeEvents.pendingChoice,
+    career,
+    careerLog,
+    goals: goalFunding.goals,
+    deposits: depositStep.deposits,
+    achievements: reached.earned,
+    history,
+    monthLog: projection ? state.monthLog ?? [] : [...(state.monthLog ?? []), logEntry(history.at(-1))],
+    annualSummaries,
+    checkpoints: projection ? state.checkpoints ?? [] : recordCheckpoint(state),
+    decisionLog: projection ? state.decisionLog ?? [] : recordDecision(state.decisionLog, state.month, requested),
+    expenseLog:
+      projection || !expensePlan ? state.expenseLog ?? [] : recordExpensePlan(state.expenseLog, state.month, expensePlan),
+    actionLog: state.actionLog ?? []
+  };
+  return projection ? nextState : explainCycle(nextState);
+}
+
+const OUTLOOK_MONTHS = 12;
+
+const outlookFor = (snapshot) => {
+  const retained =
+    snapshot.netIncome -
+    snapshot.expenses -
+    snapshot.insurancePremium -
+    snapshot.interestThisMonth -
+    snapshot.lateFees +
+    snapshot.savingsInterest +
+    snapshot.depositInterest;
+  const cashFlow =
+    snapshot.netIncome -
+    snapshot.expenses -
+    snapshot.insurancePremium -
+    snapshot.debtPaid -
+    snapshot.savingsContribution -
+    snapshot.investmentContribution -
+    snapshot.goalContribution -
+    snapshot.depositContribution;
+  const monthsOfCash = cashFlow < 0 ? Math.max(1, Math.ceil(snapshot.cashOnHand / -cashFlow)) : Infinity;
+  return {
+    netWorth: Math.round(snapshot.netWorth + retained * OUTLOOK_MONTHS),
+    cashOutMonth: monthsOfCash <= OUTLOOK_MONTHS ? snapshot.month + monthsOfCash : null
   };
+};
+
+const explainCycle = (state) => {
+  const latest = { ...state.history.at(-1), outlook: outlookFor(state.history.at(-1)) };
+  const history = [...state.history.slice(0, -1), latest];
+  return { ...state, history: [...state.history.slice(0, -1), { ...latest, insights: generateInsights(history) }] };
+};
+
+const expensesFor = (lifeStage, state, expensePlan) =>
+  calculateExpenses({
+    lifeStage: currentLifeStage(lifeStage, state),
+    quantities: expensePlan.quantities,
+    priceTiers: expensePlan.priceTiers,
+    priceIndex: state.cpi ?? 1
+  });
+
+const REPLAY_ACTIONS = {
+  eventChoice: (state, action) => resolveEventChoice(state, action.choiceKey),
+  addGoal: (state, action) => addGoal(state, action.goal),
+  removeGoal: (state, action) => removeGoal(state, action.goalId),
+  breakDeposit: (state, action) => breakDeposit(state, action.depositId),
+  rebalance: (state, action) => rebalancePortfolio(state, action.decision)
+};
+
+export function forkTimeline(state, month, lifeStage) {
+  const plan = replayPlan(state, month);
+  if (!plan) return null;
+  const replayed = plan.steps.reduce(
+    (current, step) =>
+      step.actions.reduce(
+        (acted, action) => REPLAY_ACTIONS[action.type]?.(acted, action) ?? acted,
+        runDecisionCycle({
+          lifeStage,
+          decision: step.decision,
+          expenses: expensesFor(lifeStage, current, step.expensePlan),
+          state: current,
+          projection: true
+        })
+      ),
+    {
+      ...plan.checkpoint.state,
+      history: fullHistory(state)
+        .filter((snapshot) => snapshot.month < plan.checkpoint.month)
+        .slice(-HISTORY_MONTHS)
+    }
+  );
+  return {
+    state: { ...replayed, ...branchLogs(state, month) },
+    decision: plan.decision,
+    expensePlan: plan.expensePlan
+  };
+}
+
+export function runYear({ lifeStage, decision, expensePlan, state }) {
+  let nextState = state;
+  for (let monthsRun = 1; monthsRun <= MONTHS_PER_YEAR; monthsRun += 1) {
+    nextState = runDecisionCycle({
+      lifeStage,
+      decision,
+      expenses: expensesFor(lifeStage, nextState, expensePlan),
+      expensePlan,
+      state: nextState
+    });
+    const latest = nextState.history.at(-1);
+    if ((latest.majorEvent || nextState.pendingChoice) && monthsRun < MONTHS_PER_YEAR) {
+      return { state: nextState, monthsRun, pausedOn: latest };
+    }
+  }
+  return { state: nextState, monthsRun: MONTHS_PER_YEAR, pausedOn: null };
 }
 
 export function projectFuture({ lifeStage, decision, expenses, state }, months = 12) {
   let projectionState = { ...state };
   const points = [];
   for (let i = 0; i < months; i += 1) {
-    projectionState = runDecisionCycle({ lifeStage, decision, expenses, state: projectionState });
+    projectionState = runDecisionCycle({ lifeStage, decision, expenses, state: projectionState, projection: true });
     const latest = projectionState.history.at(-1);
     points.push({
       month: state.month + i,
       netWorth: latest.netWorth,
+      realNetWorth: latest.realNetWorth,
+      cashOnHand: latest.cashOnHand,
       debtBalance: latest.debtBalance,
-      investments: latest.investments
+      investments: latest.investments,
+      savings: latest.savings,
+      goalSavings: latest.goalSavings,
+      expenses: latest.expenses,
+      stressLevel: latest.stressLevel
     });
   }
   return points;
 }
 
-export function summarizeFeedback(snapshot, allocations) {
-  const messages = [];
-  messages.push(`You earned ${snapshot.income} and spent ${snapshot.expenses} this month.`);
-  if (allocations.debtPayment > 0) {
-    messages.push(`You put ${allocations.debtPayment} toward debt. Small extra payments compound.`);
-  }
-  if (snapshot.marketReturn < 0) {
-    messages.push("Markets dipped this month. Staying consistent builds resilience.");
-  }
-  if (snapshot.stressLevel > 70) {
-    messages.push("Stress is high. Tighten variable spending or hold more cash.");
-  }
-  return messages.slice(0, 3);
+const PROJECTION_KEYS = [
+  "netWorth",
+  "realNetWorth",
+  "cashOnHand",
+  "debtBalance",
+  "investments",
+  "savings",
+  "goalSavings",
+  "expenses",
+  "stressLevel"
+];
+
+const percentile = (sortedValues, ratio) => {
+  const position = (sortedValues.length - 1) * ratio;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+  return Math.round(sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight);
+};
+
+export function projectMonteCarlo({ lifeStage, decision, expenses, state }, months = 12, paths = 100) {
+  const runs = Array.from({ length: paths }, (_, index) =>
+    projectFuture(
+      { lifeStage, decision, expenses, state: { ...state, seed: mixSeed(state.seed ?? 0, 1000 + index) } },
+      months
+    )
+  );
+  return Array.from({ length: months }, (_, monthIndex) => {
+    const point = { month: state.month + monthIndex };
+    PROJECTION_KEYS.forEach((key) => {
+      const values = runs.map((run) => run[monthIndex][key]).sort((a, b) => a - b);
+      point[`${key}P10`] = percentile(values, 0.1);
+      point[`${key}P50`] = percentile(values, 0.5);
+      point[`${key}P90`] = percentile(values, 0.9);
+    });
+    return point;
+  });
 }
 
+export const outcomeLevers = (decision) => decisionLevers(decision, defaultDecision);
 
+export function leverImpact({ lifeStage, expenses, state }, horizon, projection, { without, ...lever }) {
+  const end = projectMonteCarlo({ lifeStage, decision: without, expenses, state }, horizon, horizonPaths(horizon)).at(-1);
+  return { ...lever, impact: projection.at(-1).netWorthP50 - end.netWorthP50 };
+}
+
+export function outcomeReport({ lifeStage, state }, horizon, projection, impacts) {
+  return summarizeOutcome({
+    projection,
+    state,
+    age: (state.career ?? startCareer(lifeStage)).age,
+    horizon,
+    impacts
+  });
+}
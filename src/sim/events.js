@@ -0,0 +1,301 @@
+export const LIFE_EVENTS = [
+  {
+    key: "bonus",
+    label: "Unexpected bonus",
+    chance: 0.03,
+    cooldown: 6,
+    conditions: { excludeStages: ["School", "Retired"] },
+    modifiers: [
+      { when: { regimes: ["bull"] }, multiply: 1.5 },
+      { when: { regimes: ["recession", "bear"] }, multiply: 0.4 }
+    ],
+    onStart: { cashDelta: 900, stressDelta: -4 }
+  },
+  {
+    key: "medical",
+    label: "Medical emergency",
+    major: true,
+    chance: 0.025,
+    cooldown: 6,
+    modifiers: [
+      { when: { minDependents: 1 }, multiply: 1.6 },
+      { when: { minAge: 45 }, multiply: 1.5 }
+    ],
+    onStart: { stressDelta: 10 },
+    choices: [
+      { key: "pay_cash", label: "Pay from cash", detail: "The full bill leaves your buffer today.", onStart: { cashDelta: -1400 } },
+      {
+        key: "card",
+        label: "Put it on a credit card",
+        detail: "Cash stays put, but a 24% balance starts compounding.",
+        onStart: { newDebt: { type: "Credit card", amount: 1400, rate: 0.24, limit: 2500 } }
+      },
+      {
+        key: "insurance",
+        label: "Claim insurance",
+        detail: "Your policy covers most of it; you pay the co-pay.",
+        conditions: { insured: true },
+        onStart: { cashDelta: -350 }
+      }
+    ]
+  },
+  {
+    key: "salary_delay",
+    label: "Salary delay",
+    major: true,
+    chance: 0.02,
+    cooldown: 6,
+    conditions: { excludeStages: ["Retired"] },
+    modifiers: [
+      { when: { regimes: ["recession"] }, multiply: 2 },
+      { when: { regimes: ["stagnation"] }, multiply: 1.5 }
+    ],
+    duration: [1, 2],
+    onStart: { stressDelta: 8 },
+    monthly: { incomeMultiplier: 0.7 }
+  },
+  {
+    key: "job_loss",
+    label: "Job loss",
+    major: true,
+    chance: 0.008,
+    cooldown: 24,
+    conditions: { excludeStages: ["School", "College", "Retired"] },
+    modifiers: [
+      { when: { regimes: ["recession"] }, multiply: 3 },
+      { when: { regimes: ["bear", "stagnation"] }, multiply: 1.5 }
+    ],
+    duration: [3, 6],
+    onStart: { stressDelta: 14 },
+    monthly: { incomeMultiplier: 0.2 },
+    followUps: [{ key: "new_job_better", chance: 0.6 }, { key: "new_job_lower", chance: 1 }],
+    choices: [
+      {
+        key: "hold_out",
+        label: "Hold out for a good fit",
+        detail: "A longer search, with better odds of a raise."
+      },
+      {
+        key: "first_offer",
+        label: "Take the first offer",
+        detail: "Back to work fast, most likely for less pay.",
+        duration: [1, 2],
+        followUps: [{ key: "new_job_lower", chance: 1 }]
+      }
+    ]
+  },
+  {
+    key: "new_job_better",
+    label: "New job with better pay",
+    chance: 0,
+    onStart: { salaryChange: [0.02, 0.15], stressDelta: -8 }
+  },
+  {
+    key: "new_job_lower",
+    label: "New job at lower pay",
+    chance: 0,
+    onStart: { salaryChange: [-0.15, -0.02], stressDelta: -4 }
+  },
+  {
+    key: "market_crash",
+    label: "Market dip",
+    major: true,
+    chance: 0.02,
+    cooldown: 6,
+    modifiers: [
+      { when: { regimes: ["bear"] }, multiply: 2 },
+      { when: { regimes: ["recession"] }, multiply: 2.5 },
+      { when: { regimes: ["bull"] }, multiply: 0.5 }
+    ],
+    duration: [1, 1],
+    onStart: { stressDelta: 6 },
+    monthly: { marketShock: -0.03 },
+    followUps: [{ key: "market_rebound", chance: 0.5 }]
+  },
+  {
+    key: "market_rebound",
+    label: "Market rebound",
+    chance: 0,
+    duration: [1, 2],
+    onStart: { stressDelta: -2 },
+    monthly: { marketShock: 0.015 }
+  },
+  {
+    key: "rent_hike",
+    label: "Rent hike",
+    chance: 0.02,
+    cooldown: 12,
+    duration: [12, 12],
+    onStart: { stressDelta: 4 },
+    monthly: { fixedCostDelta: 120 },
+    choices: [
+      { key: "accept", label: "Accept the new rent", detail: "Housing costs rise for the next year." },
+      {
+        key: "move",
+        label: "Move somewhere cheaper",
+        detail: "A one-off moving bill instead of a year of higher rent.",
+        duration: [0, 0],
+        onStart: { cashDelta: -600 }
+      }
+    ]
+  },
+  {
+    key: "family_need",
+    label: "Family obligation",
+    chance: 0.02,
+    cooldown: 6,
+    modifiers: [{ when: { minDependents: 1 }, multiply: 2 }],
+    onStart: { cashDelta: -500, stressDelta: 6 }
+  },
+  {
+    key: "vehicle_repair",
+    label: "Vehicle repair",
+    chance: 0.02,
+    cooldown: 6,
+    onStart: { cashDelta: -450, stressDelta: 5 }
+  }
+];
+
+const EVENTS_BY_KEY = Object.fromEntries(LIFE_EVENTS.map((event) => [event.key, event]));
+
+export const emptyEventImpact = () => ({
+  cashDelta: 0,
+  stressDelta: 0,
+  salaryChange: 0,
+  newDebts: [],
+  incomeMultiplier: 1,
+  fixedCostDelta: 0,
+  marketShock: 0
+});
+
+const matches = (conditions = {}, context) => {
+  const stage = context.stage.toLowerCase();
+  if (conditions.excludeStages?.some((entry) => stage.includes(entry.toLowerCase()))) return false;
+  if (conditions.stages && !conditions.stages.some((entry) => stage.includes(entry.toLowerCase()))) return false;
+  if (conditions.regimes && !conditions.regimes.includes(context.regime)) return false;
+  if (conditions.minDependents !== undefined && context.dependents < conditions.minDependents) return false;
+  if (conditions.minAge !== undefined && context.age < conditions.minAge) return false;
+  if (conditions.insured !== undefined && context.insured !== conditions.insured) return false;
+  return true;
+};
+
+export function eventChance(event, context) {
+  if (!event.chance || !matches(event.conditions, context)) return 0;
+  return (event.modifiers ?? []).reduce(
+    (chance, modifier) => (matches(modifier.when, context) ? chance * modifier.multiply : chance),
+    event.chance
+  );
+}
+
+const drawRange = (rng, range) => (Array.isArray(range) ? rng.between(range[0], range[1]) : range ?? 0);
+
+const drawDuration = (rng, range) => (range ? Math.round(drawRange(rng, range)) : 0);
+
+export function accumulateImpact(total, impact = {}, rng) {
+  return {
+    cashDelta: total.cashDelta + (impact.cashDelta ?? 0),
+    stressDelta: total.stressDelta + (impact.stressDelta ?? 0),
+    salaryChange: total.salaryChange + (impact.salaryChange !== undefined ? drawRange(rng, impact.salaryChange) : 0),
+    newDebts: impact.newDebt ? [...total.newDebts, impact.newDebt] : total.newDebts,
+    incomeMultiplier: total.incomeMultiplier * (impact.incomeMultiplier ?? 1),
+    fixedCostDelta: total.fixedCostDelta + (impact.fixedCostDelta ?? 0),
+    marketShock: total.marketShock + (impact.marketShock ?? 0)
+  };
+}
+
+const rollNewEvent = (rng, { context, activeEvents, lastEventMonths, month }) => {
+  const activeKeys = new Set(activeEvents.map((event) => event.key));
+  const candidates = LIFE_EVENTS.map((event) => {
+    const lastMonth = lastEventMonths[event.key];
+    const coolingDown = lastMonth !== undefined && month - lastMonth < (event.cooldown ?? 0);
+    return { event, chance: activeKeys.has(event.key) || coolingDown ? 0 : eventChance(event, context) };
+  }).filter((candidate) => candidate.chance > 0);
+  let roll = rng.next();
+  for (const candidate of candidates) {
+    roll -= candidate.chance;
+    if (roll < 0) return candidate.event;
+  }
+  return null;
+};
+
+const startEvent = (rng, event, month) => {
+  const duration = drawDuration(rng, event.duration);
+  return {
+    id: `${event.key}-${month}`,
+    key: event.key,
+    label: event.label,
+    major: Boolean(event.major),
+    startedMonth: month,
+    duration,
+    remaining: duration,
+    choice: null
+  };
+};
+
+const choiceOptions = (event, context) =>
+  (event.choices ?? [])
+    .filter((choice) => matches(choice.conditions, context))
+    .map((choice) => ({ key: choice.key, label: choice.label, detail: choice.detail }));
+
+export const followUpsFor = (active) => {
+  const event = EVENTS_BY_KEY[active.key];
+  const choice = event.choices?.find((entry) => entry.key === active.choice);
+  return choice?.followUps ?? event.followUps ?? [];
+};
+
+export function advanceLifeEvents(rng, { context, activeEvents = [], queuedEvents = [], lastEventMonths = {}, month }) {
+  const queued = queuedEvents.map((key) => EVENTS_BY_KEY[key]).filter(Boolean);
+  const newEvent = queued[0] ?? rollNewEvent(rng, { context, activeEvents, lastEventMonths, month });
+  let impact = emptyEventImpact();
+  let started = null;
+  let pendingChoice = null;
+  let running = activeEvents;
+
+  if (newEvent) {
+    started = startEvent(rng, newEvent, month);
+    impact = accumulateImpact(impact, newEvent.onStart, rng);
+    const options = choiceOptions(newEvent, context);
+    if (options.length > 0) {
+      pendingChoice = { eventId: started.id, label: newEvent.label, options };
+    }
+    running = [...running, started];
+  }
+
+  const ended = [];
+  const nextQueue = queued.slice(1).map((event) => event.key);
+  const stillActive = running
+    .map((active) => {
+      if (active.remaining <= 0) return active;
+      impact = accumulateImpact(impact, EVENTS_BY_KEY[active.key].monthly, rng);
+      return { ...active, remaining: active.remaining - 1 };
+    })
+    .filter((active) => {
+      if (active.remaining > 0 || active.id === pendingChoice?.eventId) return true;
+      ended.push(active);
+      const followUp = followUpsFor(active).find((entry) => rng.chance(entry.chance));
+      if (followUp) nextQueue.push(followUp.key);
+      return false;
+    });
+
+  return {
+    started,
+    ended,
+    impact,
+    pendingChoice,
+    activeEvents: stillActive,
+    queuedEvents: nextQueue,
+    lastEventMonths: started ? { ...lastEventMonths, [started.key]: month } : lastEventMonths
+  };
+}
+
+export function chooseEventOutcome(rng, active, choiceKey) {
+  const event = EVENTS_BY_KEY[active.key];
+  const choice = event.choices?.find((entry) => entry.key === choiceKey) ?? event.choices?.[0];
+  const elapsed = active.duration - active.remaining;
+  const duration = choice?.duration ? drawDuration(rng, choice.duration) : active.duration;
+  return {
+    active: { ...active, choice: choice?.key ?? null, duration, remaining: Math.max(0, duration - elapsed) },
+    impact: accumulateImpact(emptyEventImpact(), choice?.onStart, rng),
+    choiceLabel: choice?.label ?? null
+  };
+}
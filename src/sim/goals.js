@@ -0,0 +1,64 @@
+export const GOAL_KINDS = {
+  emergency: { label: "Emergency fund" },
+  education: { label: "Education" },
+  house: { label: "House down payment" },
+  vacation: { label: "Vacation" },
+  other: { label: "Other goal" }
+};
+
+const DEFAULT_GOAL_MONTHS = 24;
+const PACE_TOLERANCE = 0.95;
+
+export function createGoal({ id, kind = "other", label, target, months = DEFAULT_GOAL_MONTHS, startMonth }) {
+  return {
+    id,
+    kind: GOAL_KINDS[kind] ? kind : "other",
+    label: label || (GOAL_KINDS[kind] ?? GOAL_KINDS.other).label,
+    target,
+    saved: 0,
+    startMonth,
+    targetMonth: startMonth + Math.max(1, months) - 1,
+    completedMonth: null,
+    offPace: false
+  };
+}
+
+export function goalPace(goal, month) {
+  const remaining = Math.max(0, goal.target - goal.saved);
+  const monthsLeft = Math.max(0, goal.targetMonth - month);
+  const span = Math.max(1, goal.targetMonth - goal.startMonth + 1);
+  const elapsed = Math.min(span, Math.max(0, month - goal.startMonth + 1));
+  const expected = (goal.target * elapsed) / span;
+  return {
+    remaining,
+    monthsLeft,
+    expected,
+    required: monthsLeft > 0 ? remaining / monthsLeft : remaining,
+    progress: goal.target > 0 ? Math.min(1, goal.saved / goal.target) : 1,
+    onPace: goal.completedMonth !== null || goal.saved >= expected * PACE_TOLERANCE
+  };
+}
+
+export const goalBalance = (goals = []) => goals.reduce((sum, goal) => sum + goal.saved, 0);
+
+export function fundGoals(goals = [], contributions = {}, month) {
+  let contributed = 0;
+  const completed = [];
+  const slipped = [];
+  const updated = goals.map((goal) => {
+    if (goal.completedMonth !== null) return goal;
+    const deposit = Math.min(Math.max(0, contributions[goal.id] ?? 0), Math.max(0, goal.target - goal.saved));
+    const saved = goal.saved + deposit;
+    contributed += deposit;
+    if (saved >= goal.target) {
+      completed.push(goal.label);
+      return { ...goal, saved, completedMonth: month, offPace: false };
+    }
+    const pace = goalPace({ ...goal, saved }, month);
+    if (!pace.onPace && !goal.offPace) {
+      slipped.push({ label: goal.label, required: Math.round(pace.required), targetMonth: goal.targetMonth });
+    }
+    return { ...goal, saved, offPace: !pace.onPace };
+  });
+  return { goals: updated, contributed, completed, slipped };
+}
@@ -0,0 +1,269 @@
+const BASELINE_MONTHS = 6;
+const REPEAT_WINDOW = 2;
+const REPEAT_PENALTY = 40;
+const SHOWN_PER_CYCLE = 3;
+const KEPT_PER_CYCLE = 5;
+const MILESTONE = 95;
+const MATERIAL_SHARE = 0.02;
+
+const round = (value) => Math.round(value);
+
+const signed = (value) => `${value >= 0 ? "+" : "−"}${Math.abs(round(value))}`;
+
+const average = (snapshots, pick) =>
+  snapshots.length > 0 ? snapshots.reduce((sum, snapshot) => sum + pick(snapshot), 0) / snapshots.length : 0;
+
+const runwayOf = (snapshot) =>
+  (snapshot.cashOnHand + snapshot.savings + (snapshot.goalSavings ?? 0)) / Math.max(snapshot.expenses, 1);
+
+const soldOf = (snapshot) =>
+  (snapshot.shortfallSteps ?? []).filter((step) => step.source === "investments").reduce((sum, step) => sum + step.amount, 0);
+
+const marketGainOf = (snapshot, previous) =>
+  previous ? snapshot.investments - previous.investments - (snapshot.investmentContribution ?? 0) + soldOf(snapshot) : 0;
+
+const scaled = (amount, reference, floor, ceiling) =>
+  round(floor + (ceiling - floor) * Math.min(1, Math.abs(amount) / Math.max(reference, 1)));
+
+const CAUSES = {
+  income: { lift: "higher take-home pay", drag: "lower take-home pay" },
+  spending: { lift: "lower spending", drag: "higher spending" },
+  market: { lift: "the market", drag: "the market" },
+  event: { lift: "a life event", drag: "a life event" },
+  interest: { lift: "less debt interest", drag: "debt interest" }
+};
+
+export function attributeChange(history) {
+  const latest = history.at(-1);
+  const previous = history.at(-2);
+  const baseline = history.slice(-BASELINE_MONTHS - 1, -1);
+  if (!previous) return null;
+  const withPrevious = baseline.map((snapshot) => [snapshot, history[history.indexOf(snapshot) - 1]]);
+  const usualGain = average(withPrevious, ([snapshot, before]) => marketGainOf(snapshot, before));
+  const interestOf = (snapshot) => snapshot.interestThisMonth + (snapshot.lateFees ?? 0);
+  const drivers = {
+    income: latest.netIncome - average(baseline, (snapshot) => snapshot.netIncome),
+    spending: average(baseline, (snapshot) => snapshot.expenses) - latest.expenses,
+    market: marketGainOf(latest, previous) - usualGain,
+    event: latest.eventCashDelta ?? 0,
+    interest: average(baseline, interestOf) - interestOf(latest)
+  };
+  const ranked = Object.entries(drivers)
+    .map(([cause, amount]) => ({ cause, amount }))
+    .filter((driver) => Math.abs(driver.amount) >= Math.max(1, Math.abs(latest.netIncome ?? 0) * MATERIAL_SHARE))
+    .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+  return {
+    change: latest.netWorth - previous.netWorth,
+    usualChange: average(withPrevious, ([snapshot, before]) => (before ? snapshot.netWorth - before.netWorth : 0)),
+    drivers: ranked
+  };
+}
+
+const driverPhrase = (driver) =>
+  `${driver.amount >= 0 ? CAUSES[driver.cause].lift : CAUSES[driver.cause].drag} (${signed(driver.amount)})`;
+
+const candidateInsights = (history) => {
+  const latest = history.at(-1);
+  const previous = history.at(-2);
+  const baseline = history.slice(-BASELINE_MONTHS - 1, -1);
+  const takeHome = Math.max(latest.netIncome ?? latest.income, 1);
+  const insights = [];
+  const add = (key, importance, message, tone = "neutral") => insights.push({ key, importance, message, tone });
+
+  (latest.goalsCompleted ?? []).forEach((goal) =>
+    add(`goal-${goal}`, MILESTONE, `Goal reached: ${goal} is fully funded. Well done!`, "positive")
+  );
+  (latest.achievementsEarned ?? []).forEach((label) =>
+    add(`achievement-${label}`, MILESTONE, `Achievement earned: ${label}.`, "positive")
+  );
+  (latest.careerChanges ?? []).forEach((change) => add(`career-${change}`, MILESTONE - 5, `${change}.`));
+
+  if (latest.shortfall > 0) {
+    const steps = latest.shortfallSteps.map((step) =>
+      step.rate !== undefined
+        ? `${round(step.amount)} went onto your ${step.label.toLowerCase()} at ${Math.round(step.rate * 100)}%`
+        : step.source === "investments"
+        ? `selling investments raised ${round(step.amount)}`
+        : step.source === "unpaid"
+        ? `${round(step.amount)} was left unpaid with your overdraft at its limit and carries into next month`
+        : `your emergency savings covered ${round(step.amount)}`
+    );
+    const borrowed = latest.shortfallSteps.some((step) => step.rate !== undefined);
+    add(
+      "shortfall",
+      borrowed ? 90 : 65,
+      `You ran ${round(latest.shortfall)} short after your cash was spent: ${
+        steps.length > 1 ? `${steps.slice(0, -1).join(", ")} and ${steps.at(-1)}` : steps[0]
+      }.`,
+      "negative"
+    );
+  }
+
+  if (latest.missedPayment) {
+    add(
+      "missed_payment",
+      88,
+      `A minimum payment was missed: ${latest.lateFees} in late fees landed on your balance and your credit score took a hit.`,
+      "negative"
+    );
+  }
+
+  const attribution = attributeChange(history);
+  if (!attribution) {
+    add(
+      "first_month",
+      50,
+      `You earned ${latest.income}, kept ${latest.netIncome ?? latest.income} after tax and spent ${latest.expenses} this month.`
+    );
+  } else if (attribution.drivers.length > 0) {
+    const gap = attribution.change - attribution.usualChange;
+    const lift = attribution.drivers.find((driver) => driver.amount > 0);
+    const drag = attribution.drivers.find((driver) => driver.amount < 0);
+    const pace =
+      baseline.length > 1 && Math.abs(gap) >= 1
+        ? `, ${Math.abs(round(gap))} ${gap >= 0 ? "above" : "below"} your usual pace`
+        : "";
+    const causes = [drag && `biggest drag: ${driverPhrase(drag)}`, lift && `biggest lift: ${driverPhrase(lift)}`]
+      .filter(Boolean)
+      .join("; ");
+    add(
+      `drivers-${attribution.drivers[0].cause}`,
+      scaled(gap, takeHome * 0.25, 35, 80),
+      `Net worth ${attribution.change >= 0 ? "rose" : "fell"} ${Math.abs(round(attribution.change))}${pace}. ${
+        causes.charAt(0).toUpperCase() + causes.slice(1)
+      }.`,
+      gap >= 0 ? "positive" : "negative"
+    );
+  }
+
+  if (previous) {
+    const usualSpending = average(baseline, (snapshot) => snapshot.expenses);
+    const runwayBefore = runwayOf(previous);
+    const runwayNow = runwayOf(latest);
+    if (latest.expenses > usualSpending * 1.05 && runwayNow < runwayBefore) {
+      add(
+        "comfort_vs_runway",
+        70,
+        `Comfort rose this month, but your long-term runway shrank from ${runwayBefore.toFixed(1)} to ${runwayNow.toFixed(
+          1
+        )} months of expenses.`,
+        "negative"
+      );
+    } else if (latest.expenses < usualSpending * 0.95 && runwayNow > runwayBefore) {
+      add(
+        "restraint_vs_runway",
+        45,
+        `Spending less than usual stretched your runway from ${runwayBefore.toFixed(1)} to ${runwayNow.toFixed(1)} months.`,
+        "positive"
+      );
+    }
+  }
+
+  if (latest.outlook && previous?.outlook) {
+    const shift = latest.outlook.netWorth - previous.outlook.netWorth;
+    if (Math.abs(shift) >= takeHome * 0.1) {
+      const leading = attribution?.drivers.find((driver) => Math.sign(driver.amount) === Math.sign(shift));
+      add(
+        "outlook",
+        scaled(shift, takeHome, 40, 75),
+        `Your 12-month outlook ${shift >= 0 ? "improved" : "worsened"} by ${Math.abs(round(shift))}${
+          leading ? `, led by ${driverPhrase(leading)}` : ""
+        }.`,
+        shift >= 0 ? "positive" : "negative"
+      );
+    }
+  }
+  if (latest.outlook?.cashOutMonth) {
+    add(
+      "cash_crunch",
+      latest.shortfall > 0 ? 75 : 85,
+      `${
+        latest.shortfall > 0
+          ? "Your cash stays empty at this pace, so every month leans on your safety nets."
+          : `At this pace your cash runs out around month ${latest.outlook.cashOutMonth} and your safety nets take over.`
+      } Trim spending or redirect contributions now.`,
+      "negative"
+    );
+  }
+
+  if ((latest.eventCashDelta ?? 0) < 0) {
+    add(
+      `event-${latest.eventKey}`,
+      scaled(latest.eventCashDelta, takeHome, 55, 80),
+      `${latest.event} cost ${Math.abs(round(latest.eventCashDelta))} — ${
+        runwayOf(latest) >= 1 ? "your buffer absorbed it" : "more than your buffer could absorb"
+      }.`,
+      "negative"
+    );
+  }
+  if ((latest.eventIncomeLost ?? 0) > 0) {
+    const running = (latest.activeEvents ?? []).find((event) => event.remaining > 0);
+    add(
+      "event_income",
+      70,
+      `Life events cut your pay by ${round(latest.eventIncomeLost)} this month${
+        running ? `; ${running.label.toLowerCase()} has ${running.remaining} more month${running.remaining === 1 ? "" : "s"} to run` : ""
+      }.`,
+      "negative"
+    );
+  }
+
+  const interest = latest.interestThisMonth + (latest.lateFees ?? 0);
+  if (interest >= takeHome * 0.05) {
+    add(
+      "interest_drag",
+      scaled(interest, takeHome * 0.3, 35, 75),
+      `Debt interest took ${round(interest)}, ${Math.round((interest / takeHome) * 100)}% of take-home pay${
+        interest > (latest.investmentContribution ?? 0) ? " — more than you invested" : ""
+      }.`,
+      "negative"
+    );
+  }
+  if (latest.missedTaxSavings > 0) {
+    add("tax_savings", 45, `A different deduction choice would have saved ${latest.missedTaxSavings} in income tax this month.`);
+  }
+  if (latest.salaryRaise > 0) {
+    add(
+      "raise",
+      50,
+      `Your pay rose ${(latest.salaryRaise * 100).toFixed(1)}% to partly catch up with a year of rising prices.`,
+      "positive"
+    );
+  }
+  (latest.goalsSlipped ?? []).forEach((goal) =>
+    add(
+      `goal-pace-${goal.label}`,
+      60,
+      `${goal.label} slipped off pace: it now needs ${goal.required} a month to finish by month ${goal.targetMonth}.`,
+      "negative"
+    )
+  );
+  (latest.depositsMatured ?? []).forEach((deposit) =>
+    add(
+      `deposit-${deposit.label}`,
+      65,
+      `${deposit.label} matured: ${deposit.payout} returned to cash, ${deposit.earned} of it interest.`,
+      "positive"
+    )
+  );
+  if (latest.stressLevel > 70) {
+    add("stress", 55, "Stress is high. Tighten variable spending or hold more cash.", "negative");
+  }
+  return insights;
+};
+
+export function generateInsights(history) {
+  const recentKeys = new Set(
+    history
+      .slice(-REPEAT_WINDOW - 1, -1)
+      .flatMap((snapshot) => (snapshot.insights ?? []).slice(0, SHOWN_PER_CYCLE).map((insight) => insight.key))
+  );
+  return candidateInsights(history)
+    .map((insight) =>
+      recentKeys.has(insight.key) && insight.importance < MILESTONE - 5
+        ? { ...insight, importance: insight.importance - REPEAT_PENALTY }
+        : insight
+    )
+    .sort((a, b) => b.importance - a.importance)
+    .slice(0, KEPT_PER_CYCLE);
+}
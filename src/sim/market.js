@@ -0,0 +1,39 @@
+export const AUTO_MARKET_MODE = "auto";
+
+export const MARKET_REGIMES = {
+  bull: { label: "Bull market", baseReturn: 0.012, volatility: 0.008, inflation: 0.0025 },
+  neutral: { label: "Stable market", baseReturn: 0.004, volatility: 0.006, inflation: 0.002 },
+  bear: { label: "Bear market", baseReturn: -0.008, volatility: 0.012, inflation: 0.0015 },
+  inflation: { label: "High inflation", baseReturn: 0.001, volatility: 0.01, inflation: 0.006 },
+  recession: { label: "Recession", baseReturn: -0.012, volatility: 0.016, inflation: 0.0005 },
+  stagnation: { label: "Stagnation", baseReturn: 0.0005, volatility: 0.005, inflation: 0.003 }
+};
+
+const REGIME_TRANSITIONS = {
+  bull: { bull: 0.88, neutral: 0.07, inflation: 0.03, bear: 0.02 },
+  neutral: { neutral: 0.84, bull: 0.07, inflation: 0.03, stagnation: 0.03, bear: 0.03 },
+  bear: { bear: 0.8, neutral: 0.1, recession: 0.06, bull: 0.04 },
+  inflation: { inflation: 0.82, stagnation: 0.07, neutral: 0.06, recession: 0.05 },
+  recession: { recession: 0.78, bear: 0.08, stagnation: 0.06, neutral: 0.08 },
+  stagnation: { stagnation: 0.82, neutral: 0.1, inflation: 0.04, recession: 0.04 }
+};
+
+export const DEFAULT_REGIME = "neutral";
+
+export const resolveRegime = (key) => MARKET_REGIMES[key] ?? MARKET_REGIMES[DEFAULT_REGIME];
+
+export function nextRegime(rng, currentKey = DEFAULT_REGIME) {
+  const transitions = REGIME_TRANSITIONS[currentKey] ?? REGIME_TRANSITIONS[DEFAULT_REGIME];
+  let roll = rng.next();
+  for (const [key, probability] of Object.entries(transitions)) {
+    roll -= probability;
+    if (roll < 0) return key;
+  }
+  return currentKey;
+}
+
+export function advanceMarket(rng, marketMode, previousRegime) {
+  const regimeKey =
+    marketMode === AUTO_MARKET_MODE ? nextRegime(rng, previousRegime) : MARKET_REGIMES[marketMode] ? marketMode : DEFAULT_REGIME;
+  return { regimeKey, regime: resolveRegime(regimeKey) };
+}
@@ -0,0 +1,72 @@
+import { MARKET_REGIMES } from "./market.js";
+
+export const ASSET_CLASSES = {
+  stocks: { label: "Stocks", base: 0.003, beta: 1.3, inflationHedge: 0.3, volatility: 0.03 },
+  etfs: { label: "ETFs", base: 0.003, beta: 1, inflationHedge: 0.3, volatility: 0.02 },
+  mutual_funds: { label: "Mutual funds", base: 0.0028, beta: 0.9, inflationHedge: 0.2, volatility: 0.018 },
+  bonds: { label: "Bonds", base: 0.0035, beta: -0.2, inflationHedge: -0.8, volatility: 0.006 },
+  fixed_deposits: { label: "Fixed deposits", base: 0.0055, beta: 0, inflationHedge: 0, volatility: 0 },
+  startups: { label: "Startups", base: 0.004, beta: 2, inflationHedge: 0, volatility: 0.08 },
+  real_estate: { label: "Real estate", base: 0.002, beta: 0.5, inflationHedge: 1, volatility: 0.01 }
+};
+
+export const RISK_ALLOCATIONS = {
+  conservative: { bonds: 0.35, fixed_deposits: 0.3, etfs: 0.2, mutual_funds: 0.15 },
+  moderate: { etfs: 0.35, mutual_funds: 0.2, stocks: 0.15, bonds: 0.2, real_estate: 0.1 },
+  aggressive: { stocks: 0.35, etfs: 0.25, startups: 0.15, real_estate: 0.15, mutual_funds: 0.1 }
+};
+
+const SHARED_SHOCK_WEIGHT = 0.7;
+
+export function normalizeAllocation(allocation) {
+  const entries = Object.keys(ASSET_CLASSES).map((key) => [key, Math.max(0, allocation?.[key] ?? 0)]);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return normalizeAllocation(RISK_ALLOCATIONS.moderate);
+  return Object.fromEntries(entries.map(([key, weight]) => [key, weight / total]));
+}
+
+export const portfolioValue = (holdings) => Object.values(holdings).reduce((sum, value) => sum + value, 0);
+
+export function seedHoldings(total, allocation) {
+  const weights = normalizeAllocation(allocation);
+  return Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, total * weight]));
+}
+
+export function rebalanceHoldings(holdings, allocation) {
+  return seedHoldings(portfolioValue(holdings), allocation);
+}
+
+export function allocationDrift(holdings, allocation) {
+  const weights = normalizeAllocation(allocation);
+  const total = Math.max(portfolioValue(holdings), 1);
+  return Object.entries(weights).map(([key, target]) => {
+    const actual = (holdings[key] ?? 0) / total;
+    return { key, label: ASSET_CLASSES[key].label, value: holdings[key] ?? 0, target, actual, drift: actual - target };
+  });
+}
+
+export function growPortfolio({ rng, holdings, contribution, allocation, regime, shock = 0 }) {
+  const weights = normalizeAllocation(allocation);
+  const volatilityScale = regime.volatility / MARKET_REGIMES.neutral.volatility;
+  const shared = rng.next() - 0.5;
+  const returns = {};
+  const nextHoldings = {};
+  let before = 0;
+  let after = 0;
+  Object.entries(ASSET_CLASSES).forEach(([key, asset]) => {
+    const noise = (SHARED_SHOCK_WEIGHT * shared + (1 - SHARED_SHOCK_WEIGHT) * (rng.next() - 0.5)) * 2;
+    const assetReturn =
+      asset.base +
+      asset.beta * (regime.baseReturn + shock) +
+      asset.inflationHedge * regime.inflation +
+      noise * asset.volatility * volatilityScale;
+    const invested = (holdings[key] ?? 0) + contribution * weights[key];
+    returns[key] = assetReturn;
+    nextHoldings[key] = Math.max(0, invested * (1 + assetReturn));
+    before += invested;
+    after += nextHoldings[key];
+  });
+  const portfolioReturn =
+    before > 0 ? after / before - 1 : Object.entries(weights).reduce((sum, [key, weight]) => sum + weight * returns[key], 0);
+  return { holdings: nextHoldings, returns, portfolioReturn };
+}
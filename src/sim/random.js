@@ -0,0 +1,34 @@
+const MAX_SEED = 99999;
+
+export const randomSeed = () => 1 + Math.floor(Math.random() * MAX_SEED);
+
+export const normalizeSeed = (value) => {
+  const seed = Math.floor(Math.abs(Number(value)));
+  return Number.isFinite(seed) ? seed : 0;
+};
+
+export const mixSeed = (seed, salt) => {
+  let hash = (normalizeSeed(seed) ^ 0x9e3779b9) >>> 0;
+  hash = Math.imul(hash ^ (salt >>> 0), 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+export function createRng(seed) {
+  let state = normalizeSeed(seed) >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    between: (min, max) => min + next() * (max - min),
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
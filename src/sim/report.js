@@ -0,0 +1,81 @@
+import { DECISION_FIELDS, sameValue } from "./timelines.js";
+
+export const PROJECTION_HORIZONS = {
+  12: { label: "1 year", paths: 100 },
+  60: { label: "5 years", paths: 40 },
+  120: { label: "10 years", paths: 25 }
+};
+
+export const DEFAULT_HORIZON = 12;
+
+const FI_MULTIPLE = 25;
+const TOP_DECISIONS = 2;
+const SKIPPED_LEVERS = ["marketMode"];
+
+const STRESS_BANDS = [
+  { max: 35, label: "calm" },
+  { max: 60, label: "manageable" },
+  { max: 100, label: "strained" }
+];
+
+const RUNWAY_BANDS = [
+  { max: 1, label: "paycheck to paycheck" },
+  { max: 3, label: "thin" },
+  { max: 6, label: "solid" },
+  { max: Infinity, label: "strong" }
+];
+
+const bandFor = (bands, value) => bands.find((band) => value < band.max) ?? bands.at(-1);
+
+export const horizonPaths = (horizon) => (PROJECTION_HORIZONS[horizon] ?? PROJECTION_HORIZONS[DEFAULT_HORIZON]).paths;
+
+export const decisionLevers = (decision, defaults) =>
+  Object.entries(DECISION_FIELDS)
+    .filter(([key]) => !SKIPPED_LEVERS.includes(key) && !sameValue(decision[key], defaults[key]))
+    .map(([key, label]) => ({
+      key,
+      label,
+      value: decision[key],
+      without: { ...decision, [key]: defaults[key] }
+    }));
+
+const debtFreeOutlook = (projection, startingDebt) => {
+  const lastInDebt = projection.findLastIndex((point) => point.debtBalanceP50 > 0);
+  if (lastInDebt === -1) return startingDebt > 0 ? { status: "cleared", month: projection[0].month } : { status: "none" };
+  if (lastInDebt === projection.length - 1) return { status: "carrying", remaining: projection.at(-1).debtBalanceP50 };
+  return { status: "cleared", month: projection[lastInDebt + 1].month };
+};
+
+export function summarizeOutcome({ projection, state, age, horizon, impacts }) {
+  const end = projection.at(-1);
+  const yearsAhead = (month) => (month - state.month) / 12;
+  const debtFree = debtFreeOutlook(projection, state.debtBalance ?? 0);
+  const liquid = end.cashOnHandP50 + end.savingsP50 + end.goalSavingsP50;
+  const runwayMonths = liquid / Math.max(end.expensesP50, 1);
+  const fiTarget = end.expensesP50 * 12 * FI_MULTIPLE;
+  return {
+    horizon,
+    label: (PROJECTION_HORIZONS[horizon] ?? { label: `${horizon} months` }).label,
+    fromMonth: state.month,
+    toMonth: end.month,
+    age: Math.floor(age + yearsAhead(end.month + 1)),
+    netWorth: { p10: end.netWorthP10, p50: end.netWorthP50, p90: end.netWorthP90, real: end.realNetWorthP50 },
+    debtFree: debtFree.month !== undefined ? { ...debtFree, age: Math.floor(age + yearsAhead(debtFree.month)) } : debtFree,
+    runway: { months: runwayMonths, liquid, label: bandFor(RUNWAY_BANDS, runwayMonths).label },
+    independence: {
+      target: fiTarget,
+      invested: end.investmentsP50,
+      progress: fiTarget > 0 ? Math.max(0, end.investmentsP50) / fiTarget : 0
+    },
+    stress: {
+      p10: end.stressLevelP10,
+      p50: end.stressLevelP50,
+      p90: end.stressLevelP90,
+      label: bandFor(STRESS_BANDS, end.stressLevelP50).label
+    },
+    topDecisions: [...impacts]
+      .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact))
+      .slice(0, TOP_DECISIONS)
+      .map(({ key, label, value, impact }) => ({ key, label, value, impact }))
+  };
+}
@@ -0,0 +1,123 @@
+import { LIFE_STAGES, LOCATION_COST, fixedCostsFor } from "./career.js";
+import { DEBT_TYPES, minimumDueFor } from "./debt.js";
+import { GOAL_KINDS } from "./goals.js";
+import { normalizeSeed, randomSeed } from "./random.js";
+import { DEFAULT_TAX_LOCALE, TAX_LOCALES } from "./tax.js";
+import entrepreneur from "./scenarios/entrepreneur.json";
+import family from "./scenarios/family.json";
+import firstJob from "./scenarios/first-job.json";
+import retiree from "./scenarios/retiree.json";
+import student from "./scenarios/student.json";
+
+export const SCENARIO_TEMPLATES = [student, firstJob, family, entrepreneur, retiree];
+
+const PRICE_TIERS = ["low", "typical", "high"];
+const MIN_AGE = 14;
+const MAX_AGE = 100;
+const MAX_DEPENDENTS = 10;
+const DEFAULT_CARD_UTILIZATION = 0.5;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const isFilled = (value) => typeof value === "string" && value.trim() !== "";
+
+export function findScenarioErrors(scenario) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) errors.push(message);
+  };
+
+  check(isFilled(scenario.title), "Give the scenario a title.");
+  check(Boolean(LIFE_STAGES[scenario.stage]), "Pick a life stage.");
+  check(
+    Number.isInteger(scenario.age) && scenario.age >= MIN_AGE && scenario.age <= MAX_AGE,
+    `Age must be a whole number between ${MIN_AGE} and ${MAX_AGE}.`
+  );
+  check(Boolean(LOCATION_COST[scenario.location]), "Pick a location.");
+  check(scenario.locale === undefined || Boolean(TAX_LOCALES[scenario.locale]), "Pick a set of tax rules.");
+  check(
+    Number.isInteger(scenario.dependents) && scenario.dependents >= 0 && scenario.dependents <= MAX_DEPENDENTS,
+    `Dependents must be a whole number between 0 and ${MAX_DEPENDENTS}.`
+  );
+  check(isNumber(scenario.income) && scenario.income >= 0, "Monthly income must be zero or more.");
+  check(isNumber(scenario.startingCash) && scenario.startingCash >= 0, "Starting cash must be zero or more.");
+  if (scenario.fixedCosts !== undefined) {
+    check(isNumber(scenario.fixedCosts.housing) && scenario.fixedCosts.housing >= 0, "Housing cost must be zero or more.");
+    check(
+      isNumber(scenario.fixedCosts.utilities) && scenario.fixedCosts.utilities >= 0,
+      "Utilities cost must be zero or more."
+    );
+  }
+
+  (scenario.debts ?? []).forEach((debt, index) => {
+    const name = `Debt ${index + 1}`;
+    check(DEBT_TYPES.some((type) => type.label === debt.type), `${name}: pick a debt type.`);
+    check(isNumber(debt.balance) && debt.balance > 0, `${name}: the balance must be above zero.`);
+    check(isNumber(debt.rate) && debt.rate >= 0 && debt.rate <= 1, `${name}: the interest rate must be between 0% and 100%.`);
+    check(
+      debt.limit === undefined || (isNumber(debt.limit) && debt.limit >= debt.balance),
+      `${name}: the card limit must cover the balance.`
+    );
+  });
+
+  (scenario.goals ?? []).forEach((goal, index) => {
+    const name = `Goal ${index + 1}`;
+    check(goal.kind === undefined || Boolean(GOAL_KINDS[goal.kind]), `${name}: pick a goal type.`);
+    check(isFilled(goal.label), `${name}: give the goal a name.`);
+    check(isNumber(goal.target) && goal.target > 0, `${name}: the target must be above zero.`);
+    check(
+      goal.months === undefined || (Number.isInteger(goal.months) && goal.months >= 1),
+      `${name}: the deadline must be a whole number of months.`
+    );
+  });
+
+  const plan = scenario.expensePlan ?? {};
+  check(
+    Object.values(plan.quantities ?? {}).every((qty) => Number.isInteger(qty) && qty >= 0),
+    "Expense quantities must be whole numbers of zero or more."
+  );
+  check(
+    Object.values(plan.priceTiers ?? {}).every((tier) => PRICE_TIERS.includes(tier)),
+    `Price tiers must be one of: ${PRICE_TIERS.join(", ")}.`
+  );
+
+  return errors;
+}
+
+const scenarioDebt = (debt, index) => {
+  const type = DEBT_TYPES.find((entry) => entry.label === debt.type);
+  const base = {
+    id: `debt-${index + 1}`,
+    type: debt.type,
+    balance: debt.balance,
+    rate: debt.rate,
+    minimumDue: minimumDueFor(debt.balance)
+  };
+  return type?.revolving
+    ? { ...base, revolving: true, limit: debt.limit ?? Math.round(debt.balance / DEFAULT_CARD_UTILIZATION) }
+    : base;
+};
+
+export function scenarioLifeStage(scenario, seed = scenario.seed ?? randomSeed()) {
+  const lifeSeed = normalizeSeed(seed);
+  const stage = LIFE_STAGES[scenario.stage];
+  return {
+    id: `${lifeSeed}-${Date.now()}`,
+    seed: lifeSeed,
+    scenario: scenario.key ?? null,
+    scenarioTitle: scenario.title,
+    stage: scenario.stage,
+    label: stage.label,
+    age: scenario.age,
+    stability: stage.stability,
+    location: scenario.location,
+    locale: scenario.locale ?? DEFAULT_TAX_LOCALE,
+    dependents: scenario.dependents,
+    income: scenario.income,
+    fixedCosts: scenario.fixedCosts ?? fixedCostsFor(scenario.income, LOCATION_COST[scenario.location].multiplier),
+    debts: (scenario.debts ?? []).map(scenarioDebt),
+    assets: scenario.startingCash,
+    goals: scenario.goals ?? [],
+    expensePlan: scenario.expensePlan ?? null
+  };
+}
@@ -0,0 +1,91 @@
+import { isRevolving, revolvingLimit } from "./credit.js";
+import { effectiveRate, minimumDueFor } from "./debt.js";
+import { portfolioValue } from "./portfolio.js";
+
+export const SHORTFALL_POLICIES = {
+  protect_investments: { label: "Keep investments, borrow instead", liquidate: false },
+  sell_investments: { label: "Sell investments before borrowing", liquidate: true }
+};
+
+export const DEFAULT_SHORTFALL_POLICY = "protect_investments";
+
+export const OVERDRAFT = { id: "overdraft", type: "Overdraft", rate: 0.32 };
+
+const OVERDRAFT_LIMIT_MONTHS = 2;
+
+export const overdraftLimitFor = (monthlyIncome) => Math.round(Math.max(0, monthlyIncome) * OVERDRAFT_LIMIT_MONTHS);
+
+const sellHoldings = (holdings, amount) => {
+  const total = portfolioValue(holdings);
+  const kept = total > 0 ? 1 - Math.min(1, amount / total) : 1;
+  return Object.fromEntries(Object.entries(holdings).map(([key, value]) => [key, value * kept]));
+};
+
+const chargeDebt = (debt, amount) => {
+  const balance = debt.balance + amount;
+  return { ...debt, balance, minimumDue: minimumDueFor(balance) };
+};
+
+export function coverShortfall({
+  cash,
+  savings,
+  holdings,
+  debts,
+  policy = DEFAULT_SHORTFALL_POLICY,
+  overdraftLimit = Infinity
+}) {
+  if (cash >= 0) return { cash, savings, holdings, debts, shortfall: 0, steps: [], openedOverdraft: false };
+  let remaining = -cash;
+  const steps = [];
+  const take = (available) => {
+    const amount = Math.min(remaining, Math.max(0, available));
+    remaining -= amount;
+    return amount;
+  };
+
+  const fromSavings = take(savings);
+  if (fromSavings > 0) steps.push({ source: "savings", label: "Emergency savings", amount: fromSavings });
+
+  let nextHoldings = holdings;
+  const sellInvestments = () => {
+    const sold = take(portfolioValue(nextHoldings));
+    if (sold > 0) {
+      nextHoldings = sellHoldings(nextHoldings, sold);
+      steps.push({ source: "investments", label: "Investments sold", amount: sold });
+    }
+  };
+  if ((SHORTFALL_POLICIES[policy] ?? SHORTFALL_POLICIES[DEFAULT_SHORTFALL_POLICY]).liquidate) sellInvestments();
+
+  const cards = debts
+    .filter((debt) => isRevolving(debt) && debt.id !== OVERDRAFT.id)
+    .sort((a, b) => effectiveRate(a) - effectiveRate(b));
+  let nextDebts = debts;
+  cards.forEach((card) => {
+    const charged = take(revolvingLimit(card) - card.balance);
+    if (charged > 0) {
+      nextDebts = nextDebts.map((debt) => (debt.id === card.id ? chargeDebt(debt, charged) : debt));
+      steps.push({ source: "card", label: card.type, amount: charged, rate: effectiveRate(card) });
+    }
+  });
+
+  const existingOverdraft = nextDebts.find((debt) => debt.id === OVERDRAFT.id);
+  const borrowed = take(overdraftLimit - (existingOverdraft?.balance ?? 0));
+  if (borrowed > 0) {
+    nextDebts = existingOverdraft
+      ? nextDebts.map((debt) => (debt.id === OVERDRAFT.id ? chargeDebt(debt, borrowed) : debt))
+      : [...nextDebts, { ...OVERDRAFT, balance: borrowed, minimumDue: minimumDueFor(borrowed) }];
+    steps.push({ source: "overdraft", label: OVERDRAFT.type, amount: borrowed, rate: OVERDRAFT.rate });
+  }
+  if (remaining > 0) sellInvestments();
+  if (remaining > 0) steps.push({ source: "unpaid", label: "Left unpaid", amount: remaining });
+
+  return {
+    cash: remaining > 0 ? -remaining : 0,
+    savings: savings - fromSavings,
+    holdings: nextHoldings,
+    debts: nextDebts,
+    shortfall: -cash,
+    steps,
+    openedOverdraft: !existingOverdraft && steps.some((step) => step.source === "overdraft")
+  };
+}
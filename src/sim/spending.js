@@ -0,0 +1,92 @@
+import { DEFAULT_TAX_LOCALE, TAX_LOCALES } from "./tax.js";
+
+export const SPENDING_CATEGORIES = {
+  food: { label: "Food", items: true },
+  housing: { label: "Housing", items: true },
+  health: { label: "Health", items: true },
+  subscriptions: { label: "Subscriptions", items: true },
+  transport: { label: "Transport", items: true },
+  lifestyle: { label: "Lifestyle", items: true },
+  education: { label: "Education", items: true },
+  fixed_housing: { label: "Rent & home (fixed)", items: false },
+  fixed_utilities: { label: "Utilities (fixed)", items: false },
+  consumption_tax: { label: "Consumption tax", items: false },
+  life_events: { label: "Life events", items: false }
+};
+
+export const HEATMAP_MONTHS = 12;
+
+const GROWTH_THRESHOLD = 0.1;
+const MIN_GROWTH_AMOUNT = 5;
+const VISIBLE_SPREAD = 0.25;
+
+export const categoryLabel = (category, locale) =>
+  category === "consumption_tax"
+    ? (TAX_LOCALES[locale] ?? TAX_LOCALES[DEFAULT_TAX_LOCALE]).consumptionTaxLabel
+    : SPENDING_CATEGORIES[category].label;
+
+export const breakdownItems = (items, priceAdjustment) =>
+  Object.fromEntries(items.map((item) => [item.key, Math.round(item.cost * priceAdjustment)]));
+
+const growthOf = (amount, previous) => {
+  if (previous === undefined) return 0;
+  if (previous <= 0) return amount > 0 ? 1 : 0;
+  return amount / previous - 1;
+};
+
+export function spendingHeatmap(history, locale, months = HEATMAP_MONTHS) {
+  const recent = history.filter((snapshot) => snapshot.expenseBreakdown).slice(-(months + 1));
+  const offset = recent.length > months ? 1 : 0;
+  const visible = recent.slice(offset);
+  const rows = Object.entries(SPENDING_CATEGORIES)
+    .map(([category, { items }]) => {
+      const amounts = recent.map((snapshot) => snapshot.expenseBreakdown[category] ?? 0);
+      const shown = amounts.slice(offset);
+      const low = Math.min(...shown);
+      const spread = Math.max(Math.max(...shown) - low, low * VISIBLE_SPREAD, MIN_GROWTH_AMOUNT);
+      const cells = visible.map((snapshot, index) => {
+        const amount = amounts[index + offset];
+        const previous = index + offset > 0 ? amounts[index + offset - 1] : undefined;
+        const growth = growthOf(amount, previous);
+        return {
+          month: snapshot.month,
+          amount,
+          change: previous === undefined ? 0 : amount - previous,
+          growth,
+          grew: growth >= GROWTH_THRESHOLD && amount - (previous ?? 0) >= MIN_GROWTH_AMOUNT,
+          intensity: (amount - low) / spread
+        };
+      });
+      return {
+        category,
+        label: categoryLabel(category, locale),
+        drillable: items,
+        cells,
+        total: cells.reduce((sum, cell) => sum + cell.amount, 0),
+        change: (cells.at(-1)?.amount ?? 0) - (cells[0]?.amount ?? 0)
+      };
+    })
+    .filter((row) => row.total > 0);
+  return { months: visible.map((snapshot) => snapshot.month), rows };
+}
+
+export function categoryItemHistory(history, category, catalog) {
+  const entries = catalog[category] ?? [];
+  const snapshots = history.filter((snapshot) => snapshot.expenseBreakdown);
+  const tracked = entries.filter((item) => snapshots.some((snapshot) => (snapshot.expenseItems?.[item.key] ?? 0) > 0));
+  return {
+    items: tracked.map((item) => ({ key: item.key, label: item.label })),
+    points: snapshots.map((snapshot) => ({
+      month: snapshot.month,
+      total: snapshot.expenseBreakdown[category] ?? 0,
+      ...Object.fromEntries(tracked.map((item) => [item.key, snapshot.expenseItems?.[item.key]]))
+    })),
+    changes: tracked
+      .map((item) => {
+        const amounts = snapshots.map((snapshot) => snapshot.expenseItems?.[item.key]).filter(Number.isFinite);
+        return { key: item.key, label: item.label, first: amounts[0] ?? 0, last: amounts.at(-1) ?? 0 };
+      })
+      .map((entry) => ({ ...entry, change: entry.last - entry.first }))
+      .sort((a, b) => b.change - a.change)
+  };
+}
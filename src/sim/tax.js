@@ -0,0 +1,85 @@
+export const DEFAULT_TAX_LOCALE = "in";
+
+export const TAX_LOCALES = {
+  in: {
+    label: "India-style slabs + GST",
+    consumptionTaxLabel: "GST",
+    slabs: [
+      { upTo: 12000, rate: 0 },
+      { upTo: 28000, rate: 0.05 },
+      { upTo: 40000, rate: 0.1 },
+      { upTo: 48000, rate: 0.15 },
+      { upTo: 60000, rate: 0.2 },
+      { upTo: Infinity, rate: 0.3 }
+    ],
+    standardDeduction: 3000,
+    deductionCaps: { insurance: 1000, retirement: 6000 },
+    consumptionTax: {
+      food: 0.05,
+      housing: 0,
+      health: 0.12,
+      subscriptions: 0.18,
+      transport: 0.12,
+      lifestyle: 0.18,
+      education: 0
+    }
+  },
+  us: {
+    label: "US-style brackets + sales tax",
+    consumptionTaxLabel: "Sales tax",
+    slabs: [
+      { upTo: 11600, rate: 0.1 },
+      { upTo: 47150, rate: 0.12 },
+      { upTo: 100525, rate: 0.22 },
+      { upTo: 191950, rate: 0.24 },
+      { upTo: Infinity, rate: 0.32 }
+    ],
+    standardDeduction: 14600,
+    deductionCaps: { insurance: 6000, retirement: 23000 },
+    consumptionTax: {
+      food: 0.02,
+      housing: 0,
+      health: 0,
+      subscriptions: 0.06,
+      transport: 0.04,
+      lifestyle: 0.07,
+      education: 0
+    }
+  }
+};
+
+export const resolveTaxLocale = (key) => TAX_LOCALES[key] ?? TAX_LOCALES[DEFAULT_TAX_LOCALE];
+
+export const consumptionTaxRate = (localeKey, category) => resolveTaxLocale(localeKey).consumptionTax[category] ?? 0;
+
+const applySlabs = (slabs, taxableIncome) => {
+  let floor = 0;
+  let tax = 0;
+  for (const slab of slabs) {
+    if (taxableIncome <= floor) break;
+    tax += (Math.min(taxableIncome, slab.upTo) - floor) * slab.rate;
+    floor = slab.upTo;
+  }
+  return tax;
+};
+
+export function itemisedDeductions(localeKey, { insurancePremium = 0, retirementContribution = 0 }) {
+  const caps = resolveTaxLocale(localeKey).deductionCaps;
+  return Math.min(insurancePremium * 12, caps.insurance) + Math.min(retirementContribution * 12, caps.retirement);
+}
+
+export function computeIncomeTax(localeKey, { grossMonthly, deductionMode = "standard", insurancePremium, retirementContribution }) {
+  const locale = resolveTaxLocale(localeKey);
+  const annualGross = Math.max(0, grossMonthly * 12);
+  const itemised = itemisedDeductions(localeKey, { insurancePremium, retirementContribution });
+  const taxFor = (deduction) => applySlabs(locale.slabs, Math.max(0, annualGross - deduction)) / 12;
+  const deduction = deductionMode === "itemised" ? itemised : locale.standardDeduction;
+  const tax = taxFor(deduction);
+  const alternativeTax = taxFor(deductionMode === "itemised" ? locale.standardDeduction : itemised);
+  return {
+    tax,
+    deduction,
+    effectiveRate: annualGross > 0 ? (tax * 12) / annualGross : 0,
+    missedSavings: Math.max(0, tax - alternativeTax)
+  };
+}
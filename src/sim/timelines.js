@@ -0,0 +1,147 @@
+export const MAX_BRANCHES = 5;
+export const MAIN_BRANCH = { id: "main", name: "Main timeline", parent: null, forkMonth: null };
+
+const CHECKPOINT_LIMIT = 8;
+const RECENT_CHECKPOINTS = 3;
+const CHECKPOINT_INTERVAL = 12;
+
+export const BRANCH_METRICS = {
+  netWorth: { label: "Net worth", money: true },
+  debtBalance: { label: "Debt", money: true },
+  stressLevel: { label: "Stress", money: false }
+};
+
+export const DECISION_FIELDS = {
+  debtPayment: "Debt payment",
+  debtStrategy: "Debt strategy",
+  debtPriority: "Debt priority",
+  investment: "Investments",
+  riskProfile: "Investment risk",
+  allocation: "Custom allocation",
+  emergencyCash: "Emergency cash",
+  shortfallPolicy: "If cash runs short",
+  fixedDeposit: "Fixed deposit",
+  fixedDepositTerm: "Fixed deposit term",
+  recurringDeposit: "Recurring deposit",
+  recurringDepositTerm: "Recurring deposit term",
+  insurancePremium: "Insurance premium",
+  retirementContribution: "Retirement contribution",
+  deductionMode: "Tax deductions",
+  goalContributions: "Goal contributions",
+  marketMode: "Market climate"
+};
+
+export const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const checkpointState = ({
+  history,
+  monthLog,
+  annualSummaries,
+  checkpoints,
+  decisionLog,
+  expenseLog,
+  actionLog,
+  ...rest
+}) => rest;
+
+const keepsCheckpoint = (month, latestMonth) =>
+  latestMonth - month < RECENT_CHECKPOINTS || month % CHECKPOINT_INTERVAL === 1;
+
+export function recordCheckpoint(state) {
+  const kept = [...(state.checkpoints ?? []), { month: state.month, state: checkpointState(state) }].filter((entry) =>
+    keepsCheckpoint(entry.month, state.month)
+  );
+  return kept.length > CHECKPOINT_LIMIT ? [kept[0], ...kept.slice(1 - CHECKPOINT_LIMIT)] : kept;
+}
+
+const recordChange = (key) => (log = [], month, value) =>
+  log.length > 0 && sameValue(log.at(-1)[key], value) ? log : [...log, { month, [key]: value }];
+
+export const recordDecision = recordChange("decision");
+
+export const recordExpensePlan = recordChange("expensePlan");
+
+export const recordAction = (state, action) => ({
+  ...state,
+  actionLog: [...(state.actionLog ?? []), { month: state.month, ...action }]
+});
+
+const valueAt = (log, key, month) => log.findLast((entry) => entry.month <= month)?.[key];
+
+const decisionAt = (log, month) => valueAt(log, "decision", month);
+
+const lastPlayedMonth = (state) => state.history.at(-1)?.month ?? 0;
+
+const replayStart = (state, month) => {
+  if (month < 1 || month > lastPlayedMonth(state)) return null;
+  const checkpoint = (state.checkpoints ?? []).findLast((entry) => entry.month <= month);
+  const plansFrom = state.expenseLog?.[0]?.month ?? Infinity;
+  return checkpoint && (checkpoint.month === month || checkpoint.month >= plansFrom) ? checkpoint : null;
+};
+
+export function replayPlan(state, month) {
+  const checkpoint = replayStart(state, month);
+  if (!checkpoint) return null;
+  const decisionLog = state.decisionLog ?? [];
+  const expenseLog = state.expenseLog ?? [];
+  const actionLog = state.actionLog ?? [];
+  const steps = Array.from({ length: month - checkpoint.month }, (_, index) => checkpoint.month + index).map((step) => ({
+    month: step,
+    decision: decisionAt(decisionLog, step),
+    expensePlan: valueAt(expenseLog, "expensePlan", step),
+    actions: actionLog.filter((entry) => entry.month === step + 1)
+  }));
+  return {
+    checkpoint,
+    steps,
+    decision: decisionAt(decisionLog, month) ?? checkpoint.decision,
+    expensePlan: valueAt(expenseLog, "expensePlan", month) ?? null
+  };
+}
+
+export const forkableMonths = (state) =>
+  Array.from({ length: lastPlayedMonth(state) }, (_, index) => index + 1).filter((month) => replayStart(state, month));
+
+export const branchLogs = (state, month) => ({
+  history: state.history.filter((snapshot) => snapshot.month < month),
+  monthLog: (state.monthLog ?? []).filter((entry) => entry.month < month),
+  annualSummaries: (state.annualSummaries ?? []).filter((summary) => summary.toMonth < month),
+  checkpoints: (state.checkpoints ?? []).filter((entry) => entry.month < month),
+  decisionLog: (state.decisionLog ?? []).filter((entry) => entry.month < month),
+  expenseLog: (state.expenseLog ?? []).filter((entry) => entry.month < month),
+  actionLog: (state.actionLog ?? []).filter((entry) => entry.month <= month)
+});
+
+const metricsAt = (snapshot) =>
+  snapshot ? Object.fromEntries(Object.keys(BRANCH_METRICS).map((key) => [key, snapshot[key]])) : null;
+
+export function compareBranches(branches) {
+  const commonMonth = Math.min(...branches.map((branch) => branch.state.history.at(-1)?.month ?? 0));
+  return {
+    commonMonth,
+    rows: branches.map((branch) => ({
+      id: branch.id,
+      name: branch.name,
+      month: branch.state.history.at(-1)?.month ?? 0,
+      latest: metricsAt(branch.state.history.at(-1)),
+      atCommon: metricsAt(branch.state.history.find((snapshot) => snapshot.month === commonMonth)),
+      series: branch.state.history.map((snapshot) => ({ month: snapshot.month, ...metricsAt(snapshot) }))
+    }))
+  };
+}
+
+export function divergedDecisions(baseState, otherState) {
+  const baseMonths = new Set(baseState.history.map((snapshot) => snapshot.month));
+  const diverged = {};
+  otherState.history.forEach(({ month }) => {
+    const reference = baseMonths.has(month) ? decisionAt(baseState.decisionLog ?? [], month) : null;
+    const decision = decisionAt(otherState.decisionLog ?? [], month);
+    if (!reference || !decision) return;
+    Object.entries(DECISION_FIELDS).forEach(([key, label]) => {
+      if (sameValue(reference[key], decision[key])) return;
+      diverged[key] = diverged[key] ?? { key, label, fromMonth: month, months: 0, base: reference[key], other: decision[key] };
+      diverged[key].months += 1;
+    });
+  });
+  return Object.values(diverged).sort((a, b) => a.fromMonth - b.fromMonth);
+}
@@ -0,0 +1,67 @@
+import { SCHEMA_VERSION, upgrade, writePersisted } from "./persistence.js";
+
+export const SLOT_INDEX_KEY = "nexawealth-slots";
+export const SLOT_FIELDS = ["life", "expenses", "decision", "sim", "timelines", "market"];
+export const DEFAULT_SLOT_ID = "default";
+export const SAVE_FORMAT = "nexawealth-save";
+
+const REQUIRED_FIELDS = ["life", "sim"];
+
+export const slotKey = (slotId, field) =>
+  slotId === DEFAULT_SLOT_ID ? `nexawealth-${field}` : `nexawealth-${slotId}-${field}`;
+
+export const slotKeys = (slotId) => Object.fromEntries(SLOT_FIELDS.map((field) => [field, slotKey(slotId, field)]));
+
+export const createSlot = (name) => ({ id: `slot-${Date.now()}`, name, createdAt: new Date().toISOString() });
+
+export const initialSlots = () => ({
+  active: DEFAULT_SLOT_ID,
+  slots: [{ id: DEFAULT_SLOT_ID, name: "My run", createdAt: new Date().toISOString() }]
+});
+
+export function writeSlot(slotId, data) {
+  SLOT_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) writePersisted(slotKey(slotId, field), data[field]);
+  });
+}
+
+export function clearSlot(slotId) {
+  SLOT_FIELDS.forEach((field) => window.localStorage.removeItem(slotKey(slotId, field)));
+}
+
+export const exportSave = (slot, data) => ({
+  format: SAVE_FORMAT,
+  version: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  name: slot.name,
+  data: Object.fromEntries(SLOT_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]))
+});
+
+export const slotFileStem = (slot) =>
+  `nexawealth-${slot.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "run"}`;
+
+export const saveFileName = (slot) => `${slotFileStem(slot)}.json`;
+
+export function parseSave(text) {
+  let save;
+  try {
+    save = JSON.parse(text);
+  } catch {
+    throw new Error("That file is not valid JSON.");
+  }
+  if (save?.format !== SAVE_FORMAT) throw new Error("That file is not a Nexawealth save.");
+  if (!Number.isInteger(save.version) || save.version > SCHEMA_VERSION) {
+    throw new Error(`That save uses format version ${save.version}, which this app cannot read yet.`);
+  }
+  const missing = REQUIRED_FIELDS.filter((field) => save.data?.[field] === undefined);
+  if (missing.length > 0) throw new Error(`That save is missing its ${missing.join(" and ")} data.`);
+  const data = {};
+  SLOT_FIELDS.filter((field) => save.data[field] !== undefined).forEach((field) => {
+    try {
+      data[field] = upgrade(field, save.data[field], save.version);
+    } catch (error) {
+      throw new Error(`That save is damaged: ${error.message}.`);
+    }
+  });
+  return { name: typeof save.name === "string" && save.name.trim() ? save.name.trim() : "Imported run", data };
+}